@@ -0,0 +1,124 @@
+const { Buffer } = require('node:buffer');
+
+// Gemini's default input rate when a raw PCM client does not declare one.
+const DEFAULT_PCM_INPUT_RATE = 16000;
+// FFmpeg decodes every container to 16-bit mono PCM at this rate.
+const DECODED_PCM_RATE = 24000;
+
+// needsSeekableInput: the demuxer may have to seek (e.g. an MP4 with its index at the end),
+// so the audio is written to a temporary file instead of piped.
+const AudioFormats = {
+    webm: { name: 'webm', ffmpegFormat: 'webm', mimeType: 'audio/webm', extension: 'webm', mimeTypes: ['audio/webm', 'video/webm'] },
+    ogg: { name: 'ogg', ffmpegFormat: 'ogg', mimeType: 'audio/ogg', extension: 'ogg', mimeTypes: ['audio/ogg', 'application/ogg', 'audio/opus'] },
+    wav: { name: 'wav', ffmpegFormat: 'wav', mimeType: 'audio/wav', extension: 'wav', mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'] },
+    mp3: { name: 'mp3', ffmpegFormat: 'mp3', mimeType: 'audio/mpeg', extension: 'mp3', mimeTypes: ['audio/mpeg', 'audio/mp3'] },
+    mp4: { name: 'mp4', ffmpegFormat: 'mov', mimeType: 'audio/mp4', extension: 'm4a', mimeTypes: ['audio/mp4', 'audio/x-m4a', 'audio/m4a', 'video/mp4'], needsSeekableInput: true },
+    pcm: { name: 'pcm', ffmpegFormat: null, mimeType: 'audio/pcm', extension: 'wav', mimeTypes: ['audio/pcm', 'audio/l16'] },
+};
+
+// Formats a client can ask for in setup.outputAudioFormat. WAV streams the raw PCM
+// chunks; the others are encoded with FFmpeg for the whole turn.
+const OutputAudioFormats = {
+    wav: { name: 'wav', mimeType: 'audio/wav', extension: 'wav' },
+    opus: {
+        name: 'opus', mimeType: 'audio/webm;codecs=opus', extension: 'webm',
+        ffmpegFormat: 'webm', codec: 'libopus', bitrate: '32k',
+        // Short clusters so the client can start playing before the turn ends.
+        outputOptions: ['-live 1', '-cluster_time_limit 200']
+    },
+    mp3: {
+        name: 'mp3', mimeType: 'audio/mpeg', extension: 'mp3',
+        ffmpegFormat: 'mp3', codec: 'libmp3lame', bitrate: '48k', outputOptions: []
+    },
+};
+const DEFAULT_OUTPUT_AUDIO_FORMAT = 'wav';
+
+class AudioFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AudioFormatError';
+    }
+}
+
+function startsWith(buffer, text, offset = 0) {
+    return buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+}
+
+// Frame sync plus a non-zero layer, which tells MP3 apart from AAC in ADTS.
+function isMpegAudioFrame(buffer) {
+    return buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0;
+}
+
+function detectFromMagicBytes(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1A45DFA3) return AudioFormats.webm;
+    if (startsWith(buffer, 'OggS')) return AudioFormats.ogg;
+    if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WAVE', 8)) return AudioFormats.wav;
+    if (startsWith(buffer, 'ftyp', 4)) return AudioFormats.mp4;
+    if (startsWith(buffer, 'ID3') || isMpegAudioFrame(buffer)) return AudioFormats.mp3;
+    return null;
+}
+
+function fromMimeType(mimeType) {
+    const essence = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return Object.values(AudioFormats).find(format => format.mimeTypes.includes(essence)) || null;
+}
+
+function parsePcmRate(mimeType, fallback = DEFAULT_PCM_INPUT_RATE) {
+    const match = /rate=(\d+)/.exec(mimeType || '');
+    return match ? parseInt(match[1], 10) : fallback;
+}
+
+// Raw PCM has no signature, so a PCM declaration is trusted. Otherwise the magic bytes
+// win over the declared type, which browsers often get wrong for uploaded files.
+function resolveInputFormat(declaredMimeType, firstBytes) {
+    const declared = fromMimeType(declaredMimeType);
+    if (declared === AudioFormats.pcm) {
+        const sampleRate = parsePcmRate(declaredMimeType);
+        if (sampleRate < 8000 || sampleRate > 48000) {
+            throw new AudioFormatError(`Unsupported PCM sample rate ${sampleRate} Hz (8000-48000).`);
+        }
+        return { format: declared, sampleRate };
+    }
+
+    const format = detectFromMagicBytes(firstBytes) || declared;
+    if (!format) {
+        throw new AudioFormatError(`Unrecognized audio format${declaredMimeType ? ` (declared ${declaredMimeType})` : ''}. Supported: WebM, Ogg, WAV, MP3, MP4/M4A or raw PCM.`);
+    }
+    return { format, sampleRate: DECODED_PCM_RATE };
+}
+
+function createWavHeader(pcmDataLength, sampleRate, bitsPerSample, numChannels) {
+    const bytesPerSample = bitsPerSample / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const byteRate = sampleRate * blockAlign;
+    const riffChunkSize = pcmDataLength + 36;
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(riffChunkSize, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(numChannels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcmDataLength, 40);
+
+    return header;
+}
+
+module.exports = {
+    DECODED_PCM_RATE,
+    AudioFormats,
+    OutputAudioFormats,
+    DEFAULT_OUTPUT_AUDIO_FORMAT,
+    AudioFormatError,
+    detectFromMagicBytes,
+    parsePcmRate,
+    resolveInputFormat,
+    createWavHeader,
+};
@@ -0,0 +1,92 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { PassThrough } = require('stream');
+const { Buffer } = require('node:buffer');
+const audioFormats = require('./audioFormats');
+const logger = require('./logger');
+
+// Collects one model turn of Gemini PCM. Chunks are handed to onChunk as they arrive
+// (encoded first when the session asked for a compressed format) and finish() resolves
+// with the whole turn as a single clip in that format.
+function createAudioOutput(format, pcmMimeType, onChunk) {
+    const sampleRate = audioFormats.parsePcmRate(pcmMimeType, audioFormats.DECODED_PCM_RATE);
+    return format.codec
+        ? createEncodedOutput(format, sampleRate, onChunk)
+        : createWavOutput(format, sampleRate, onChunk);
+}
+
+function createWavOutput(format, sampleRate, onChunk) {
+    // Concatenated once at finish() instead of copying the whole answer per chunk.
+    const chunks = [];
+    let bytes = 0;
+
+    return {
+        format,
+        write(pcm, mimeType) {
+            onChunk(pcm, mimeType);
+            chunks.push(pcm);
+            bytes += pcm.length;
+        },
+        async finish() {
+            return Buffer.concat([audioFormats.createWavHeader(bytes, sampleRate, 16, 1), ...chunks]);
+        },
+        abort() {},
+    };
+}
+
+// The encoder runs for the whole turn, so the streamed chunks and the final clip are
+// the same bytes and the clip is never encoded twice.
+function createEncodedOutput(format, sampleRate, onChunk) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const chunks = [];
+    let aborted = false;
+
+    const command = ffmpeg(input)
+        .inputFormat('s16le')
+        .inputOptions([`-ar ${sampleRate}`, '-ac 1'])
+        .audioCodec(format.codec)
+        .audioBitrate(format.bitrate)
+        .toFormat(format.ffmpegFormat)
+        .outputOptions(['-flush_packets 1', ...format.outputOptions])
+        .on('start', commandLine => logger.debug('FFmpeg', 'Spawned output encoder.', { commandLine }));
+
+    const encoded = Promise.all([
+        new Promise((resolve, reject) => command.on('end', resolve).on('error', reject)),
+        new Promise(resolve => output.on('end', resolve)),
+    ]);
+    // Aborted turns reject without anyone waiting on them.
+    encoded.catch(() => {});
+
+    output.on('data', chunk => {
+        if (aborted) return;
+        chunks.push(chunk);
+        onChunk(chunk, format.mimeType);
+    });
+    command.pipe(output);
+
+    return {
+        format,
+        write(pcm) {
+            if (!aborted) input.write(pcm);
+        },
+        async finish() {
+            input.end();
+            await encoded;
+            return Buffer.concat(chunks);
+        },
+        abort() {
+            aborted = true;
+            // Ending the input also stops an encoder that hasn't spawned yet.
+            input.end();
+            try {
+                command.kill('SIGKILL');
+            } catch (e) {
+                logger.debug('FFmpeg', 'Output encoder already finished.', e);
+            }
+        },
+    };
+}
+
+module.exports = {
+    createAudioOutput,
+};
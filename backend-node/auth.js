@@ -0,0 +1,229 @@
+const crypto = require('node:crypto');
+const { Buffer } = require('node:buffer');
+const express = require('express');
+const cors = require('cors');
+const logger = require('./logger');
+
+const AUTH_SECRET = process.env.AUTH_SECRET;
+const AUTH_ISSUER_KEY = process.env.AUTH_ISSUER_KEY;
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 300;
+const MAX_SESSION_SECONDS = parseInt(process.env.AUTH_MAX_SESSION_SECONDS, 10) || 30 * 24 * 60 * 60;
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Browsers cannot set headers on a WebSocket, so they send the token as a second
+// subprotocol, `bearer.<jwt>`, next to this one, which is the one the server selects.
+// A token in the URL would end up in proxy and access logs.
+const WEBSOCKET_PROTOCOL = 'gemini-live';
+const TOKEN_PROTOCOL_PREFIX = 'bearer.';
+
+class AuthError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+function isAuthEnabled() {
+    return !!AUTH_SECRET;
+}
+
+function base64UrlEncode(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function createSignature(data) {
+    return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+function signToken(claims, ttlSeconds = TOKEN_TTL_SECONDS) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64UrlEncode(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    return `${header}.${payload}.${createSignature(`${header}.${payload}`)}`;
+}
+
+function verifyToken(token, { expiredGraceSeconds = 0 } = {}) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+        throw new AuthError(401, 'Malformed token');
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(createSignature(`${header}.${payload}`));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new AuthError(401, 'Invalid token signature');
+    }
+
+    let decodedHeader;
+    let claims;
+    try {
+        decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        throw new AuthError(401, 'Malformed token');
+    }
+    if (decodedHeader.alg !== 'HS256') {
+        throw new AuthError(401, 'Unsupported token algorithm');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + expiredGraceSeconds <= Math.floor(Date.now() / 1000)) {
+        throw new AuthError(401, 'Token expired');
+    }
+    return claims;
+}
+
+function isOriginAllowed(origin) {
+    return ALLOWED_ORIGINS.length === 0 || ALLOWED_ORIGINS.includes(origin);
+}
+
+function getTokenFromRequest(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+    const tokenProtocol = protocols.find(protocol => protocol.startsWith(TOKEN_PROTOCOL_PREFIX));
+    return tokenProtocol ? tokenProtocol.slice(TOKEN_PROTOCOL_PREFIX.length) : null;
+}
+
+// Passed to the WebSocket server as handleProtocols; the token is never echoed back.
+function selectProtocol(protocols) {
+    return protocols.has(WEBSOCKET_PROTOCOL) ? WEBSOCKET_PROTOCOL : false;
+}
+
+// Runs during the HTTP upgrade, before any Gemini session is opened.
+function authenticateUpgrade(req) {
+    const origin = req.headers.origin;
+    if (origin && !isOriginAllowed(origin)) {
+        throw new AuthError(403, `Origin ${origin} is not allowed`);
+    }
+
+    if (!isAuthEnabled()) {
+        return { subject: null };
+    }
+
+    const token = getTokenFromRequest(req);
+    if (!token) {
+        throw new AuthError(401, 'Missing bearer token');
+    }
+    const claims = verifyToken(token);
+    return { subject: claims.sub };
+}
+
+// REST routes accept the same tokens in the Authorization header.
+function requireAuth(req, res, next) {
+    try {
+        req.identity = authenticateUpgrade(req);
+        next();
+    } catch (error) {
+        if (!(error instanceof AuthError)) return next(error);
+        res.status(error.statusCode).json({ error: error.message });
+    }
+}
+
+// A previous token, even an expired one, keeps its subject so the same user finds
+// their saved conversations again. auth_time is when that subject got its first token
+// and is carried over, so renewing never extends a session past MAX_SESSION_SECONDS.
+function getRenewableSession(req) {
+    const authorization = req.headers.authorization || '';
+    if (!authorization.startsWith('Bearer ')) {
+        return null;
+    }
+    let claims;
+    try {
+        claims = verifyToken(authorization.slice('Bearer '.length).trim(), { expiredGraceSeconds: MAX_SESSION_SECONDS });
+    } catch {
+        return null;
+    }
+    const authTime = typeof claims.auth_time === 'number' ? claims.auth_time : claims.iat;
+    if (typeof claims.sub !== 'string' || typeof authTime !== 'number' || authTime + MAX_SESSION_SECONDS <= Math.floor(Date.now() / 1000)) {
+        return null;
+    }
+    return { subject: claims.sub, authTime };
+}
+
+function createCorsMiddleware() {
+    return cors({
+        origin: (origin, callback) => callback(null, !origin || isOriginAllowed(origin))
+    });
+}
+
+function rejectUpgrade(socket, statusCode, message) {
+    const statusText = { 401: 'Unauthorized', 403: 'Forbidden', 429: 'Too Many Requests', 503: 'Service Unavailable' }[statusCode] || 'Error';
+    socket.write(
+        `HTTP/1.1 ${statusCode} ${statusText}\r\n` +
+        'Connection: close\r\n' +
+        'Content-Type: text/plain\r\n' +
+        `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+        '\r\n' +
+        message
+    );
+    socket.destroy();
+}
+
+function createAuthRouter() {
+    const router = express.Router();
+
+    router.use(createCorsMiddleware());
+
+    router.post('/token', express.json(), (req, res) => {
+        if (!isAuthEnabled()) {
+            return res.status(404).json({ error: 'Authentication is disabled' });
+        }
+        const origin = req.headers.origin;
+        if (AUTH_ISSUER_KEY) {
+            if (origin && !isOriginAllowed(origin)) {
+                logger.warn('Auth', `Refused token for origin ${origin}.`);
+                return res.status(403).json({ error: 'Origin not allowed' });
+            }
+            if (req.headers['x-api-key'] !== AUTH_ISSUER_KEY) {
+                logger.warn('Auth', 'Refused token: missing or wrong issuer key.');
+                return res.status(401).json({ error: 'Invalid issuer key' });
+            }
+        } else if (!origin || !ALLOWED_ORIGINS.includes(origin)) {
+            // Without the issuer key the Origin is the only check, so it must be present
+            // and explicitly listed: an empty ALLOWED_ORIGINS issues no tokens at all.
+            logger.warn('Auth', `Refused token for origin ${origin || '(none)'}.`);
+            return res.status(403).json({ error: 'Origin not allowed' });
+        }
+
+        // Only trusted callers holding the issuer key may choose the subject.
+        const requestedSubject = req.body && typeof req.body.subject === 'string' ? req.body.subject : null;
+        const renewed = AUTH_ISSUER_KEY && requestedSubject ? null : getRenewableSession(req);
+        const subject = renewed ? renewed.subject : (AUTH_ISSUER_KEY && requestedSubject) || crypto.randomUUID();
+        const authTime = renewed ? renewed.authTime : Math.floor(Date.now() / 1000);
+        const token = signToken({ sub: subject, auth_time: authTime });
+        logger.info('Auth', 'Issued WebSocket token.');
+        res.json({ token, expiresIn: TOKEN_TTL_SECONDS });
+    });
+
+    return router;
+}
+
+// Without the issuer key, anyone who sends an allowed Origin gets a token.
+function hasIssuerKey() {
+    return !!AUTH_ISSUER_KEY;
+}
+
+// True when POST /token can issue anything: with auth on, it needs either the
+// issuer key or at least one allowed origin.
+function canIssueTokens() {
+    return !!AUTH_ISSUER_KEY || ALLOWED_ORIGINS.length > 0;
+}
+
+module.exports = {
+    WEBSOCKET_PROTOCOL,
+    TOKEN_PROTOCOL_PREFIX,
+    AuthError,
+    isAuthEnabled,
+    hasIssuerKey,
+    canIssueTokens,
+    signToken,
+    verifyToken,
+    authenticateUpgrade,
+    selectProtocol,
+    requireAuth,
+    createCorsMiddleware,
+    rejectUpgrade,
+    createAuthRouter,
+};
@@ -0,0 +1,275 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { performance } = require('node:perf_hooks');
+const WebSocket = require('ws');
+const protocol = require('./protocol');
+const { OutputAudioFormats } = require('./audioFormats');
+
+// WebSocket client for the backend protocol, shared by cli.js and loadtest.js. Options
+// use the CLI flag names: url, token, api-key, modality, output-format, audio-dir, etc.
+const PROTOCOL_VERSION = Math.max(...protocol.SUPPORTED_PROTOCOL_VERSIONS);
+const MODEL_OUTPUT_TYPES = ['text', 'outputTranscription', 'audioChunk', 'audio'];
+
+class BackendClientError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackendClientError';
+    }
+}
+
+function buildSetupMessage(options) {
+    return {
+        type: 'setup',
+        id: crypto.randomUUID(),
+        protocolVersion: PROTOCOL_VERSION,
+        responseModalities: [options.modality],
+        outputAudioFormat: options['output-format'],
+        ...(options.model ? { model: options.model } : {}),
+        ...(options.system ? { systemInstruction: options.system } : {}),
+        ...(options.voice ? { voiceName: options.voice } : {}),
+        ...(options.language ? { languageCode: options.language } : {}),
+        ...(options.conversation ? { conversationId: options.conversation } : {}),
+    };
+}
+
+// Returns null when the backend runs without authentication.
+async function fetchToken(url, apiKey) {
+    const tokenUrl = new URL('/auth/token', url.replace(/^ws/, 'http'));
+    let response;
+    try {
+        response = await fetch(tokenUrl, { method: 'POST', headers: apiKey ? { 'x-api-key': apiKey } : {} });
+    } catch (error) {
+        throw new BackendClientError(`Could not reach ${tokenUrl}: ${(error.cause && error.cause.message) || error.message}`);
+    }
+    if (response.status === 404) {
+        return null;
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new BackendClientError(`Could not get a token from ${tokenUrl}: ${body.error || `HTTP ${response.status}`}`);
+    }
+    return body.token;
+}
+
+function audioExtension(mimeType) {
+    const format = Object.values(OutputAudioFormats).find(candidate => candidate.mimeType === mimeType);
+    return format ? format.extension : 'bin';
+}
+
+// One WebSocket session. Each send resolves with the model turn it started, once the
+// backend reports turnComplete, an interruption or an error about that message.
+class BackendSession {
+    constructor(options, handlers = {}) {
+        this.options = options;
+        this.handlers = handlers;
+        this.ws = null;
+        this.ready = null;
+        this.pending = null;
+        this.audioCount = 0;
+        this.errors = [];
+        this.isClosing = false;
+    }
+
+    async connect() {
+        const token = this.options.token || await fetchToken(this.options.url, this.options['api-key']);
+        this.ws = new WebSocket(this.options.url, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        return new Promise((resolve, reject) => {
+            this.ws.on('open', () => this.ws.send(JSON.stringify(buildSetupMessage(this.options))));
+            this.ws.on('unexpected-response', (request, response) => {
+                reject(new BackendClientError(`Handshake refused with HTTP ${response.statusCode} ${response.statusMessage}.`));
+                this.ws.terminate();
+            });
+            this.ws.on('error', error => reject(new BackendClientError(`Could not connect to ${this.options.url}: ${error.message}`)));
+            this.ws.on('message', (raw, isBinary) => {
+                const event = this.decode(raw, isBinary);
+                if (event.from === 'backend' && event.type === 'ready') {
+                    this.ready = event.data;
+                    resolve(event.data);
+                }
+                this.handleEvent(event);
+            });
+            this.ws.on('close', (code, reason) => {
+                // Before ready, the error event that explains the close is more useful than the reason.
+                const setupError = !this.ready && this.errors.length > 0 ? ` ${this.errors[this.errors.length - 1].message}` : '';
+                const error = new BackendClientError(`Connection closed (${code}${reason.length ? `: ${reason}` : ''}).${setupError}`);
+                reject(error);
+                this.finishPending(error);
+                if (!this.isClosing && this.handlers.onClose) this.handlers.onClose(code);
+            });
+        });
+    }
+
+    decode(raw, isBinary) {
+        if (!isBinary) {
+            return JSON.parse(raw.toString());
+        }
+        const { header, payload } = protocol.splitBinaryFrame(raw);
+        const event = JSON.parse(header.toString());
+        return { ...event, data: { ...event.data, audio: payload } };
+    }
+
+    handleEvent(event) {
+        const { from, type, data, inReplyTo } = event;
+        const turn = this.pending && this.pending.turn;
+
+        if (type === 'error') {
+            this.errors.push({ ...data, inReplyTo });
+            if (this.handlers.onError) this.handlers.onError(data);
+            if (this.pending && inReplyTo === this.pending.id) {
+                turn.error = data;
+                this.finishPending();
+            }
+            return;
+        }
+        // Gemini interrupts on barge-in; the backend on a cancel, a new turn or a shutdown.
+        if (type === 'interrupted') {
+            if (turn) {
+                turn.interrupted = true;
+                this.finishPending();
+            }
+            return;
+        }
+        if (from === 'backend') {
+            if (type === 'documentAttached' && this.pending && inReplyTo === this.pending.id) {
+                Object.assign(turn, { kind: data.kind, pages: data.pages, characters: data.characters });
+                this.finishPending();
+            } else if (type === 'toolCall' && turn) {
+                turn.toolCalls.push({ id: data.id, name: data.name, args: data.args });
+            } else if (type === 'toolResult' && turn) {
+                const toolCall = turn.toolCalls.find(candidate => candidate.id === data.id);
+                if (toolCall) Object.assign(toolCall, data.error ? { error: data.error } : { output: data.output });
+            } else if (type === 'serverShutdown' && this.handlers.onNotice) {
+                this.handlers.onNotice('The server is shutting down.');
+            }
+            return;
+        }
+        if (type === 'goAway' && this.handlers.onNotice) {
+            this.handlers.onNotice('Gemini will close the session soon (goAway).');
+        }
+        if (!turn) {
+            return;
+        }
+        if (MODEL_OUTPUT_TYPES.includes(type) && !this.pending.firstByteAt) {
+            this.pending.firstByteAt = performance.now();
+        }
+
+        if (type === 'text') {
+            turn.text += data;
+            if (this.handlers.onText) this.handlers.onText(data);
+        } else if (type === 'outputTranscription') {
+            turn.transcript += data.text;
+            if (this.handlers.onText) this.handlers.onText(data.text);
+        } else if (type === 'inputTranscription') {
+            this.pending.userTranscript += data.text;
+        } else if (type === 'audio') {
+            turn.audioBytes = data.audio.length;
+            turn.audioSaved = this.saveAudio(data.audio, data.mimeType);
+        } else if (type === 'turnComplete') {
+            this.finishPending();
+        }
+    }
+
+    // Without an audio-dir the clip is only counted.
+    saveAudio(audio, mimeType) {
+        if (!this.options['audio-dir']) {
+            return Promise.resolve(null);
+        }
+        this.audioCount += 1;
+        const prefix = (this.ready && this.ready.conversationId) || 'session';
+        const file = path.join(this.options['audio-dir'], `${prefix}-${this.audioCount}.${audioExtension(mimeType)}`);
+        return fs.mkdir(this.options['audio-dir'], { recursive: true })
+            .then(() => fs.writeFile(file, audio))
+            .then(() => file);
+    }
+
+    // Documents are answered with documentAttached; everything else opens a model turn.
+    request(message, payload, turn) {
+        if (this.pending) {
+            throw new BackendClientError('Wait for the current answer before sending another message.');
+        }
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            throw new BackendClientError('The connection is closed.');
+        }
+        const id = crypto.randomUUID();
+        const envelope = { ...message, id };
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                turn.timedOut = true;
+                this.finishPending();
+            }, this.options.turnTimeoutMs);
+            this.pending = { id, turn, userTranscript: '', sentAt: performance.now(), firstByteAt: null, timer, resolve, reject };
+            this.ws.send(payload ? protocol.encodeBinaryFrame(envelope, payload) : JSON.stringify(envelope));
+        });
+    }
+
+    async finishPending(error) {
+        const pending = this.pending;
+        if (!pending) return;
+        this.pending = null;
+        clearTimeout(pending.timer);
+        if (error) {
+            pending.reject(error);
+            return;
+        }
+        const { turn, sentAt, firstByteAt } = pending;
+        const timing = {
+            firstByteMs: firstByteAt ? firstByteAt - sentAt : null,
+            latencyMs: performance.now() - sentAt,
+        };
+        if (turn.audioSaved) {
+            const audioFile = await turn.audioSaved;
+            if (audioFile) turn.audioFile = audioFile;
+            delete turn.audioSaved;
+        }
+        pending.resolve({ userTranscript: pending.userTranscript, turn, timing });
+    }
+
+    sendText(text) {
+        return this.request({ type: 'text', message: text }, null, createModelTurn());
+    }
+
+    sendAudio(audio, mimeType) {
+        return this.request({ type: 'audio', ...(mimeType ? { mimeType } : {}) }, audio, createModelTurn());
+    }
+
+    async sendAudioFile(file, mimeType) {
+        return this.sendAudio(await readInputFile(file), mimeType);
+    }
+
+    async sendDocumentFile(file) {
+        const data = await readInputFile(file);
+        return this.request({ type: 'document', name: path.basename(file) }, data, {});
+    }
+
+    cancel() {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ type: 'cancel', id: crypto.randomUUID() }));
+        }
+    }
+
+    close() {
+        this.isClosing = true;
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.close(1000, 'Client closed');
+        }
+    }
+}
+
+function createModelTurn() {
+    return { role: 'model', text: '', transcript: '', toolCalls: [] };
+}
+
+async function readInputFile(file) {
+    try {
+        return await fs.readFile(file);
+    } catch (error) {
+        throw new BackendClientError(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    BackendClientError,
+    BackendSession,
+    readInputFile,
+};
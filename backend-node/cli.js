@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const readline = require('node:readline');
+const { parseArgs } = require('node:util');
+const { BackendClientError, BackendSession } = require('./backendClient');
+const DEFAULT_TURN_TIMEOUT_MS = 60000;
+
+const USAGE = `Usage: node cli.js [options]
+
+Talks to the realtime backend over its WebSocket protocol (see PROTOCOL.md).
+Without --script it starts an interactive REPL.
+
+Options:
+  --url <ws-url>             Backend URL (default: $BACKEND_URL or ws://localhost:8080)
+  --token <jwt>              WebSocket token. Without it, one is requested from POST /auth/token
+  --api-key <key>            x-api-key for POST /auth/token (default: $AUTH_ISSUER_KEY)
+  --modality <TEXT|AUDIO>    Response modality (default: TEXT)
+  --voice <name>             Voice for AUDIO responses
+  --language <code>          Language code, e.g. pt-BR
+  --system <text>            System instruction
+  --model <name>             Gemini model
+  --output-format <format>   Response audio format: wav, opus or mp3 (default: wav)
+  --conversation <id>        Continue a saved conversation
+  --audio-dir <dir>          Where response audio is saved (default: ./cli-audio)
+  --script <file.json>       Run the turns in the file and print the transcript as JSON
+  --turn-timeout <ms>        How long to wait for each answer (default: ${DEFAULT_TURN_TIMEOUT_MS})
+  -h, --help                 Show this help
+
+REPL commands:
+  .audio <file> [mimeType]   Send an audio file as a voice turn
+  .doc <file>                Attach a PDF or text file as context
+  .cancel                    Interrupt the current answer (Ctrl+C also works)
+  .exit                      Close the session
+`;
+
+const REPL_HELP = `Type a message to send it as a text turn, or:
+  .audio <file> [mimeType]   .doc <file>   .cancel   .exit`;
+
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+function readOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            url: { type: 'string', default: process.env.BACKEND_URL || 'ws://localhost:8080' },
+            token: { type: 'string' },
+            'api-key': { type: 'string', default: process.env.AUTH_ISSUER_KEY },
+            modality: { type: 'string', default: 'TEXT' },
+            voice: { type: 'string' },
+            language: { type: 'string' },
+            system: { type: 'string' },
+            model: { type: 'string' },
+            'output-format': { type: 'string', default: 'wav' },
+            conversation: { type: 'string' },
+            'audio-dir': { type: 'string', default: 'cli-audio' },
+            script: { type: 'string' },
+            'turn-timeout': { type: 'string', default: String(DEFAULT_TURN_TIMEOUT_MS) },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    const turnTimeoutMs = parseInt(values['turn-timeout'], 10);
+    if (!(turnTimeoutMs > 0)) {
+        throw new CliError('--turn-timeout must be a positive number of milliseconds.');
+    }
+    return { ...values, modality: values.modality.toUpperCase(), turnTimeoutMs };
+}
+
+
+// A script is a JSON array of turns: "text", { "text" }, { "audio", "mimeType"? } or { "document" }.
+async function readScript(file) {
+    let turns;
+    try {
+        turns = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        throw new CliError(`Could not read the script ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(turns)) {
+        throw new CliError('The script must be a JSON array of turns.');
+    }
+    const baseDir = path.dirname(file);
+    return turns.map((turn, index) => {
+        const step = typeof turn === 'string' ? { text: turn } : turn;
+        if (!step || (typeof step.text !== 'string' && typeof step.audio !== 'string' && typeof step.document !== 'string')) {
+            throw new CliError(`Script turn ${index + 1} needs a "text", "audio" or "document" field.`);
+        }
+        // Paths in the script are relative to the script itself.
+        if (step.audio) step.audio = path.resolve(baseDir, step.audio);
+        if (step.document) step.document = path.resolve(baseDir, step.document);
+        return step;
+    });
+}
+
+function sendStep(session, step) {
+    if (step.audio) return session.sendAudioFile(step.audio, step.mimeType);
+    if (step.document) return session.sendDocumentFile(step.document);
+    return session.sendText(step.text);
+}
+
+function describeUserStep(step, userTranscript) {
+    if (step.audio) return { role: 'user', type: 'audio', file: step.audio, transcript: userTranscript };
+    return { role: 'user', type: 'text', text: step.text };
+}
+
+async function runScript(options) {
+    const steps = await readScript(options.script);
+    const session = new BackendSession(options);
+    const ready = await session.connect();
+    const transcript = { url: options.url, connectionId: ready.connectionId, conversationId: ready.conversationId, turns: [], errors: session.errors };
+
+    let failed = false;
+    try {
+        for (const step of steps) {
+            const { userTranscript, turn } = await sendStep(session, step);
+            if (step.document) {
+                transcript.turns.push({ role: 'user', type: 'document', file: step.document, ...turn });
+            } else {
+                transcript.turns.push(describeUserStep(step, userTranscript), turn);
+            }
+            if (turn.error || turn.timedOut) {
+                failed = true;
+                break;
+            }
+        }
+    } catch (error) {
+        transcript.failure = error.message;
+        failed = true;
+    } finally {
+        session.close();
+    }
+
+    process.stdout.write(JSON.stringify(transcript, null, 2) + '\n');
+    return failed || transcript.errors.length > 0 ? 1 : 0;
+}
+
+function printModelTurn(turn) {
+    process.stdout.write('\n');
+    if (turn.audioFile) console.log(`[audio saved to ${turn.audioFile}]`);
+    if (turn.interrupted) console.log('[interrupted]');
+    if (turn.timedOut) console.log('[no answer before --turn-timeout]');
+    turn.toolCalls.forEach(toolCall => console.log(`[tool ${toolCall.name}(${JSON.stringify(toolCall.args)}) -> ${JSON.stringify(toolCall.error || toolCall.output)}]`));
+}
+
+async function runRepl(options) {
+    let isAnswering = false;
+    const session = new BackendSession(options, {
+        onText: text => process.stdout.write(text),
+        onError: ({ code, message }) => console.error(`\n[error ${code}] ${message}`),
+        onNotice: message => console.error(`\n[${message}]`),
+        onClose: () => {
+            console.error('\n[connection closed]');
+            process.exit(0);
+        },
+    });
+    const ready = await session.connect();
+    console.log(`Connected to ${options.url} (connection ${ready.connectionId}, conversation ${ready.conversationId || 'not saved'}, ${ready.responseModalities.join('/')}).`);
+    console.log(REPL_HELP);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'you> ' });
+    rl.on('SIGINT', () => {
+        if (isAnswering) {
+            session.cancel();
+        } else {
+            rl.close();
+        }
+    });
+    rl.prompt();
+
+    for await (const line of rl) {
+        const input = line.trim();
+        const [command, ...args] = input.split(/\s+/);
+        try {
+            if (!input) {
+                // Nothing to send.
+            } else if (command === '.exit') {
+                break;
+            } else if (command === '.help') {
+                console.log(REPL_HELP);
+            } else if (command === '.cancel') {
+                session.cancel();
+            } else if (command === '.doc' && args[0]) {
+                const { turn } = await session.sendDocumentFile(args[0]);
+                if (!turn.error) console.log(`[attached ${args[0]}: ${turn.characters} characters${turn.pages ? `, ${turn.pages} pages` : ''}]`);
+            } else if (command === '.audio' && args[0]) {
+                isAnswering = true;
+                process.stdout.write('gemini> ');
+                const { userTranscript, turn } = await session.sendAudioFile(args[0], args[1]);
+                printModelTurn(turn);
+                if (userTranscript) console.log(`[you said: ${userTranscript}]`);
+            } else if (command.startsWith('.')) {
+                console.log(REPL_HELP);
+            } else {
+                isAnswering = true;
+                process.stdout.write('gemini> ');
+                printModelTurn((await session.sendText(input)).turn);
+            }
+        } catch (error) {
+            console.error(`[${error.message}]`);
+        } finally {
+            isAnswering = false;
+        }
+        rl.prompt();
+    }
+    rl.close();
+    session.close();
+    return 0;
+}
+
+async function main() {
+    const options = readOptions(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    return options.script ? runScript(options) : runRepl(options);
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error instanceof CliError || error instanceof BackendClientError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? error.message : error);
+        process.exit(2);
+    });
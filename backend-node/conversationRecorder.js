@@ -0,0 +1,109 @@
+const { Buffer } = require('node:buffer');
+const conversationStore = require('./conversationStore');
+const audioFormats = require('./audioFormats');
+const logger = require('./logger');
+
+// Records the turns of a live session into clientState.conversation.
+// Every function is a no-op when the client has no conversation attached.
+
+function createPendingModelTurn() {
+    return { text: '', transcript: '' };
+}
+
+function attachAudio(conversation, turn, buffer, extension, mimeType) {
+    conversationStore.saveAudio(conversation.id, buffer, extension)
+        .then(audioId => {
+            turn.audio = { id: audioId, mimeType };
+            return conversationStore.saveConversation(conversation);
+        })
+        .catch(error => logger.error('Store', `Failed to save audio for conversation ${conversation.id}`, error));
+}
+
+function recordUserText(clientState, text) {
+    if (!clientState.conversation) return;
+    clientState.userAudioTurn = null;
+    conversationStore.appendTurn(clientState.conversation, { role: 'user', type: 'text', text });
+}
+
+function recordUserDocument(clientState, { name, kind, pages, text }) {
+    if (!clientState.conversation) return;
+    conversationStore.appendTurn(clientState.conversation, { role: 'user', type: 'document', name, kind, pages, text });
+}
+
+function startUserAudioTurn(clientState) {
+    if (!clientState.conversation) return;
+    clientState.userAudioTurn = { role: 'user', type: 'audio', transcript: '' };
+    clientState.userAudioChunks = [];
+    conversationStore.appendTurn(clientState.conversation, clientState.userAudioTurn);
+}
+
+function addUserAudioChunk(clientState, chunk) {
+    if (!clientState.conversation || !clientState.userAudioChunks) return;
+    clientState.userAudioChunks.push(chunk);
+}
+
+function finishUserAudioTurn(clientState) {
+    if (!clientState.conversation || !clientState.userAudioTurn || !clientState.userAudioChunks) return;
+    const audio = Buffer.concat(clientState.userAudioChunks);
+    clientState.userAudioChunks = null;
+    if (audio.length === 0) return;
+
+    const format = clientState.userAudioFormat || audioFormats.AudioFormats.webm;
+    if (format === audioFormats.AudioFormats.pcm) {
+        // Raw PCM isn't playable on its own, so it's stored as WAV.
+        const wav = Buffer.concat([audioFormats.createWavHeader(audio.length, clientState.inputPcmRate, 16, 1), audio]);
+        attachAudio(clientState.conversation, clientState.userAudioTurn, wav, 'wav', 'audio/wav');
+        return;
+    }
+    attachAudio(clientState.conversation, clientState.userAudioTurn, audio, format.extension, format.mimeType);
+}
+
+// Saved with the next turn to avoid a write per transcription fragment.
+function appendUserTranscript(clientState, text) {
+    if (!clientState.conversation || !clientState.userAudioTurn) return;
+    clientState.userAudioTurn.transcript += text;
+}
+
+function appendModelText(clientState, text) {
+    if (!clientState.conversation) return;
+    clientState.pendingModelTurn.text += text;
+}
+
+function appendModelTranscript(clientState, text) {
+    if (!clientState.conversation) return;
+    clientState.pendingModelTurn.transcript += text;
+}
+
+// Returns the recorded turn so audio that is still being encoded can be attached later.
+function finishModelTurn(clientState, { hasAudio = false, interrupted = false } = {}) {
+    if (!clientState.conversation) return null;
+    const { text, transcript } = clientState.pendingModelTurn;
+    clientState.pendingModelTurn = createPendingModelTurn();
+    if (!text && !transcript && !hasAudio) return null;
+
+    const turn = { role: 'model', type: hasAudio ? 'audio' : 'text' };
+    if (text) turn.text = text;
+    if (transcript) turn.transcript = transcript;
+    if (interrupted) turn.interrupted = true;
+    conversationStore.appendTurn(clientState.conversation, turn);
+    return turn;
+}
+
+function attachModelAudio(clientState, turn, audio, format) {
+    if (!clientState.conversation || !turn) return;
+    attachAudio(clientState.conversation, turn, audio, format.extension, format.mimeType);
+}
+
+module.exports = {
+    createPendingModelTurn,
+    recordUserText,
+    recordUserDocument,
+    startUserAudioTurn,
+    addUserAudioChunk,
+    finishUserAudioTurn,
+    appendUserTranscript,
+    appendModelText,
+    appendModelTranscript,
+    finishModelTurn,
+    attachModelAudio,
+};
@@ -0,0 +1,250 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const express = require('express');
+const auth = require('./auth');
+const logger = require('./logger');
+const documents = require('./documents');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const CONVERSATIONS_DIR = path.join(DATA_DIR, 'conversations');
+const AUDIO_DIR = path.join(DATA_DIR, 'audio');
+const ANONYMOUS_OWNER = 'anonymous';
+const ALLOW_ANONYMOUS_HISTORY = process.env.ALLOW_ANONYMOUS_HISTORY === '1';
+const TITLE_MAX_LENGTH = 60;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const AUDIO_ID_PATTERN = /^[0-9a-f-]{36}\.(wav|webm|ogg|mp3|m4a)$/;
+const AUDIO_CONTENT_TYPES = { wav: 'audio/wav', webm: 'audio/webm', ogg: 'audio/ogg', mp3: 'audio/mpeg', m4a: 'audio/mp4' };
+
+// conversationId -> promise of the last queued task, so writes to one conversation never overlap
+const pendingWrites = new Map();
+// conversation object -> whether it was ever on disk and the ids of the turns this session added
+const sessionStates = new WeakMap();
+
+function getOwner(identity) {
+    return (identity && identity.subject) || ANONYMOUS_OWNER;
+}
+
+function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function conversationPath(id) {
+    return path.join(CONVERSATIONS_DIR, `${id}.json`);
+}
+
+function getSessionState(conversation) {
+    if (!sessionStates.has(conversation)) {
+        sessionStates.set(conversation, { persisted: false, ownTurnIds: new Set() });
+    }
+    return sessionStates.get(conversation);
+}
+
+// Runs the task after every earlier task for the same conversation. The returned promise
+// rejects with the task's error, but a failure never blocks the tasks queued after it.
+function enqueue(conversationId, task) {
+    const previous = pendingWrites.get(conversationId) || Promise.resolve();
+    const result = previous.then(task);
+    const settled = result.catch(() => {}).finally(() => {
+        if (pendingWrites.get(conversationId) === settled) pendingWrites.delete(conversationId);
+    });
+    pendingWrites.set(conversationId, settled);
+    return result;
+}
+
+function createConversation(owner, model) {
+    const now = new Date().toISOString();
+    return { id: crypto.randomUUID(), owner, title: null, model, createdAt: now, updatedAt: now, turns: [] };
+}
+
+async function loadConversation(id) {
+    if (!isValidId(id)) return null;
+    try {
+        const conversation = JSON.parse(await fs.readFile(conversationPath(id), 'utf8'));
+        getSessionState(conversation).persisted = true;
+        return conversation;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function conversationExists(id) {
+    try {
+        await fs.access(conversationPath(id));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Another socket may have the same conversation open, so the file is re-read and its
+// turns kept; only the turns this session added are taken from memory.
+function mergeStoredConversation(conversation, stored) {
+    const { ownTurnIds } = getSessionState(conversation);
+    const ownTurns = conversation.turns.filter(turn => ownTurnIds.has(turn.id));
+    conversation.turns = [...stored.turns.filter(turn => !ownTurnIds.has(turn.id)), ...ownTurns]
+        .sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+    conversation.title = stored.title || conversation.title;
+    if (stored.updatedAt > conversation.updatedAt) conversation.updatedAt = stored.updatedAt;
+}
+
+async function writeConversation(conversation) {
+    const state = getSessionState(conversation);
+    const stored = await loadConversation(conversation.id);
+    if (!stored && state.persisted) {
+        // Deleted while a live session still held it; never write it back.
+        logger.info('Store', `Conversation ${conversation.id} was deleted. Not saving it.`);
+        return;
+    }
+    if (stored) mergeStoredConversation(conversation, stored);
+
+    await fs.mkdir(CONVERSATIONS_DIR, { recursive: true });
+    const filePath = conversationPath(conversation.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(conversation, null, 2));
+    await fs.rename(tempPath, filePath);
+    state.persisted = true;
+}
+
+function saveConversation(conversation) {
+    return enqueue(conversation.id, () => writeConversation(conversation))
+        .catch(error => logger.error('Store', `Failed to save conversation ${conversation.id}`, error));
+}
+
+function appendTurn(conversation, turn) {
+    turn.id = crypto.randomUUID();
+    turn.at = new Date().toISOString();
+    getSessionState(conversation).ownTurnIds.add(turn.id);
+    conversation.turns.push(turn);
+    conversation.updatedAt = turn.at;
+    if (!conversation.title) {
+        // Audio turns only get a transcript later, so look at every user turn.
+        const firstUserTurn = conversation.turns.find(candidate => candidate.role === 'user' && candidate.type !== 'document' && (candidate.text || candidate.transcript || '').trim());
+        if (firstUserTurn) conversation.title = (firstUserTurn.text || firstUserTurn.transcript).trim().slice(0, TITLE_MAX_LENGTH);
+    }
+    return saveConversation(conversation);
+}
+
+// Queued behind the conversation's writes so it sees the conversation file, or its deletion.
+function saveAudio(conversationId, buffer, extension) {
+    return enqueue(conversationId, async () => {
+        if (!await conversationExists(conversationId)) {
+            throw new Error(`Conversation ${conversationId} no longer exists`);
+        }
+        const audioId = `${crypto.randomUUID()}.${extension}`;
+        const directory = path.join(AUDIO_DIR, conversationId);
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, audioId), buffer);
+        return audioId;
+    });
+}
+
+async function listConversations(owner) {
+    let files;
+    try {
+        files = await fs.readdir(CONVERSATIONS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const conversations = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => loadConversation(path.basename(file, '.json')).catch(() => null)));
+
+    return conversations
+        .filter(conversation => conversation && conversation.owner === owner)
+        .map(({ id, title, model, createdAt, updatedAt, turns }) => ({ id, title, model, createdAt, updatedAt, turnCount: turns.length }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function deleteConversation(id) {
+    return enqueue(id, async () => {
+        await fs.rm(conversationPath(id), { force: true });
+        await fs.rm(path.join(AUDIO_DIR, id), { recursive: true, force: true });
+    });
+}
+
+// Rebuilds the dialogue as Gemini content so a reopened conversation keeps its context.
+function toGeminiHistory(conversation) {
+    return conversation.turns
+        .filter(turn => !turn.interrupted || turn.text || turn.transcript)
+        .map(turn => ({
+            role: turn.role,
+            parts: [{ text: turn.type === 'document' ? documents.formatDocumentForModel(turn.name, turn.text) : turn.text || turn.transcript || '' }]
+        }))
+        .filter(content => content.parts[0].text.trim() !== '');
+}
+
+async function loadOwnedConversation(req, res) {
+    const conversation = await loadConversation(req.params.id);
+    if (!conversation || conversation.owner !== getOwner(req.identity)) {
+        res.status(404).json({ error: 'Conversation not found' });
+        return null;
+    }
+    return conversation;
+}
+
+function createConversationRouter() {
+    const router = express.Router();
+
+    router.use(auth.createCorsMiddleware());
+    // Without authentication every conversation belongs to 'anonymous', so anyone
+    // reaching the backend could list and read all of them.
+    router.use((req, res, next) => {
+        if (!auth.isAuthEnabled() && !ALLOW_ANONYMOUS_HISTORY) {
+            return res.status(404).json({ error: 'Conversation history requires authentication' });
+        }
+        next();
+    });
+    router.use(auth.requireAuth);
+
+    router.get('/', async (req, res) => {
+        res.json({ conversations: await listConversations(getOwner(req.identity)) });
+    });
+
+    router.get('/:id', async (req, res) => {
+        const conversation = await loadOwnedConversation(req, res);
+        if (!conversation) return;
+        const { owner, ...publicConversation } = conversation;
+        res.json(publicConversation);
+    });
+
+    router.get('/:id/audio/:audioId', async (req, res) => {
+        const conversation = await loadOwnedConversation(req, res);
+        if (!conversation) return;
+        if (!AUDIO_ID_PATTERN.test(req.params.audioId)) {
+            return res.status(404).json({ error: 'Audio not found' });
+        }
+        const extension = path.extname(req.params.audioId).slice(1);
+        res.type(AUDIO_CONTENT_TYPES[extension]);
+        res.sendFile(path.join(AUDIO_DIR, conversation.id, req.params.audioId), (error) => {
+            if (error && !res.headersSent) res.status(404).json({ error: 'Audio not found' });
+        });
+    });
+
+    router.delete('/:id', async (req, res) => {
+        const conversation = await loadOwnedConversation(req, res);
+        if (!conversation) return;
+        await deleteConversation(conversation.id);
+        logger.info('Store', `Deleted conversation ${conversation.id}.`);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = {
+    DATA_DIR,
+    getOwner,
+    createConversation,
+    loadConversation,
+    saveConversation,
+    appendTurn,
+    saveAudio,
+    listConversations,
+    deleteConversation,
+    toGeminiHistory,
+    createConversationRouter,
+};
@@ -0,0 +1,85 @@
+const path = require('node:path');
+const { PDFParse } = require('pdf-parse');
+const { ErrorCodes } = require('./protocol');
+
+// Plain-text files are accepted by extension, since browsers report most of these
+// (Terraform, YAML, logs) as an empty or generic MIME type.
+const TEXT_EXTENSIONS = [
+    '.txt', '.log', '.md', '.csv', '.json', '.yaml', '.yml', '.xml', '.toml', '.ini', '.conf',
+    '.tf', '.tfvars', '.hcl', '.sh', '.sql', '.py', '.js', '.ts', '.go', '.java', '.env', '.properties'
+];
+const TEXT_MIME_TYPES = ['application/json', 'application/x-yaml', 'application/yaml', 'application/xml', 'application/x-sh'];
+
+class DocumentError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'DocumentError';
+        this.code = code;
+    }
+}
+
+function isPdf(buffer) {
+    return buffer.length >= 5 && buffer.toString('latin1', 0, 5) === '%PDF-';
+}
+
+function isTextType(name, mimeType) {
+    return TEXT_EXTENSIONS.includes(path.extname(name).toLowerCase())
+        || (mimeType || '').startsWith('text/')
+        || TEXT_MIME_TYPES.includes(mimeType);
+}
+
+async function extractPdfText(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        const result = await parser.getText();
+        return { text: result.text, pages: result.total };
+    } catch (error) {
+        throw new DocumentError(ErrorCodes.DOCUMENT_UNSUPPORTED, `Could not read the PDF: ${error.message}`);
+    } finally {
+        await parser.destroy();
+    }
+}
+
+function decodeText(buffer) {
+    if (buffer.includes(0)) {
+        throw new DocumentError(ErrorCodes.DOCUMENT_UNSUPPORTED, 'File looks binary, not text.');
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+        throw new DocumentError(ErrorCodes.DOCUMENT_UNSUPPORTED, 'Text files must be UTF-8 encoded.');
+    }
+}
+
+// Resolves with { kind, text, pages } or rejects with a DocumentError.
+async function extractDocumentText({ name, mimeType, data, maxChars }) {
+    let document;
+    if (isPdf(data)) {
+        document = { kind: 'pdf', ...(await extractPdfText(data)) };
+    } else if (isTextType(name, mimeType)) {
+        document = { kind: 'text', text: decodeText(data), pages: null };
+    } else {
+        throw new DocumentError(ErrorCodes.DOCUMENT_UNSUPPORTED, `Unsupported document type for "${name}". Send a PDF or a text file (${TEXT_EXTENSIONS.join(', ')}).`);
+    }
+
+    document.text = document.text.trim();
+    if (!document.text) {
+        throw new DocumentError(ErrorCodes.DOCUMENT_UNSUPPORTED, `No text found in "${name}". Scanned PDFs are not supported.`);
+    }
+    if (document.text.length > maxChars) {
+        throw new DocumentError(ErrorCodes.DOCUMENT_TOO_LARGE, `"${name}" has ${document.text.length} characters of text (max ${maxChars}).`);
+    }
+    return document;
+}
+
+// The label lets the model and the saved history tell the file apart from what the user typed.
+function formatDocumentForModel(name, text) {
+    return `[Attached file: ${name}]\n${text}\n[End of file: ${name}]`;
+}
+
+module.exports = {
+    TEXT_EXTENSIONS,
+    DocumentError,
+    extractDocumentText,
+    formatDocumentForModel,
+};
@@ -0,0 +1,135 @@
+const metrics = require('./metrics');
+const protocol = require('./protocol');
+
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+const MAX_FRAME_BYTES = intFromEnv('MAX_FRAME_BYTES', 5 * 1024 * 1024);
+const MAX_AUDIO_SECONDS_PER_TURN = intFromEnv('MAX_AUDIO_SECONDS_PER_TURN', 120);
+const MAX_MESSAGES_PER_MINUTE = intFromEnv('MAX_MESSAGES_PER_MINUTE', 600);
+const MAX_CONNECTIONS_PER_CLIENT = intFromEnv('MAX_CONNECTIONS_PER_CLIENT', 3);
+const MAX_CONNECTIONS_PER_IP = intFromEnv('MAX_CONNECTIONS_PER_IP', 10);
+// Proxies in front of the server that append to X-Forwarded-For (1 on Cloud Run).
+const TRUSTED_PROXY_HOPS = intFromEnv('TRUSTED_PROXY_HOPS', 0);
+const MAX_SESSIONS_PER_INSTANCE = intFromEnv('MAX_SESSIONS_PER_INSTANCE', 100);
+const MAX_DOCUMENT_CHARS = intFromEnv('MAX_DOCUMENT_CHARS', 200000);
+
+// PCM sent to Gemini is 16-bit mono.
+const PCM_BYTES_PER_SAMPLE = 2;
+const RATE_WINDOW_MS = 60 * 1000;
+
+class LimitError extends Error {
+    constructor(code, message, statusCode) {
+        super(message);
+        this.name = 'LimitError';
+        this.code = code;
+        this.statusCode = statusCode;
+    }
+}
+
+// Connection key (`ip:` or `sub:`) -> open connection count
+const connectionCounts = new Map();
+let totalConnections = 0;
+
+// The client controls the leftmost X-Forwarded-For entries, so only the ones
+// appended by the trusted proxies are read, counting from the right.
+function getClientIp(req) {
+    if (TRUSTED_PROXY_HOPS > 0) {
+        const forwardedFor = (req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+        if (forwardedFor.length >= TRUSTED_PROXY_HOPS) {
+            return forwardedFor[forwardedFor.length - TRUSTED_PROXY_HOPS];
+        }
+    }
+    return req.socket.remoteAddress;
+}
+
+// A new token can carry a new subject, so every connection also counts against its IP.
+function getClientKeys(req, identity) {
+    const keys = [{ key: `ip:${getClientIp(req)}`, max: MAX_CONNECTIONS_PER_IP }];
+    if (identity && identity.subject) {
+        keys.push({ key: `sub:${identity.subject}`, max: MAX_CONNECTIONS_PER_CLIENT });
+    }
+    return keys;
+}
+
+function releaseKey(key) {
+    const remaining = connectionCounts.get(key) - 1;
+    if (remaining > 0) {
+        connectionCounts.set(key, remaining);
+    } else {
+        connectionCounts.delete(key);
+    }
+}
+
+// Reserves a connection slot during the upgrade. Returns the release function.
+function acquireConnection(req, identity) {
+    if (totalConnections >= MAX_SESSIONS_PER_INSTANCE) {
+        throw new LimitError(protocol.ErrorCodes.SERVER_AT_CAPACITY, `Server is at capacity (${MAX_SESSIONS_PER_INSTANCE} sessions)`, 503);
+    }
+    const keys = getClientKeys(req, identity);
+    for (const { key, max } of keys) {
+        if ((connectionCounts.get(key) || 0) >= max) {
+            throw new LimitError(protocol.ErrorCodes.TOO_MANY_CONNECTIONS, `Too many concurrent connections (max ${max})`, 429);
+        }
+    }
+
+    keys.forEach(({ key }) => connectionCounts.set(key, (connectionCounts.get(key) || 0) + 1));
+    totalConnections += 1;
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        totalConnections -= 1;
+        keys.forEach(({ key }) => releaseKey(key));
+    };
+}
+
+function hasCapacity() {
+    return totalConnections < MAX_SESSIONS_PER_INSTANCE;
+}
+
+function createRateState() {
+    return { windowStart: Date.now(), count: 0, notified: false };
+}
+
+// Fixed one-minute window. Returns false once the budget for the window is spent.
+function consumeMessage(rateState) {
+    const now = Date.now();
+    if (now - rateState.windowStart >= RATE_WINDOW_MS) {
+        rateState.windowStart = now;
+        rateState.count = 0;
+        rateState.notified = false;
+    }
+    rateState.count += 1;
+    return rateState.count <= MAX_MESSAGES_PER_MINUTE;
+}
+
+function isAudioTurnTooLong(pcmBytes, sampleRate) {
+    return pcmBytes > MAX_AUDIO_SECONDS_PER_TURN * sampleRate * PCM_BYTES_PER_SAMPLE;
+}
+
+function sendLimitError(ws, code, message, options) {
+    metrics.recordError('limits');
+    protocol.sendError(ws, code, message, options);
+}
+
+module.exports = {
+    MAX_FRAME_BYTES,
+    MAX_AUDIO_SECONDS_PER_TURN,
+    MAX_MESSAGES_PER_MINUTE,
+    MAX_CONNECTIONS_PER_CLIENT,
+    MAX_CONNECTIONS_PER_IP,
+    MAX_SESSIONS_PER_INSTANCE,
+    MAX_DOCUMENT_CHARS,
+    LimitError,
+    getClientIp,
+    acquireConnection,
+    hasCapacity,
+    createRateState,
+    consumeMessage,
+    isAudioTurnTooLong,
+    sendLimitError,
+};
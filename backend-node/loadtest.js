@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const net = require('node:net');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { performance } = require('node:perf_hooks');
+const { parseArgs } = require('node:util');
+const { BackendClientError, BackendSession, readInputFile } = require('./backendClient');
+const { createWavHeader } = require('./audioFormats');
+
+const USAGE = `Usage: node loadtest.js [options]
+
+Opens many concurrent sessions against the backend, replays a mix of text and
+audio turns until --duration runs out and reports throughput, latency
+percentiles, error rates and the backend's peak memory and FFmpeg processes.
+
+Options:
+  --mock                     Start a local backend with MOCK_GEMINI=1 on a free port and load it instead of --url
+  --url <ws-url>             Backend URL (default: $BACKEND_URL or ws://localhost:8080)
+  --token <jwt>              WebSocket token. Without it, each client requests one from POST /auth/token
+  --api-key <key>            x-api-key for POST /auth/token (default: $AUTH_ISSUER_KEY)
+  --clients <n>              Concurrent clients (default: 10)
+  --duration <s>             How long clients keep sending turns (default: 60)
+  --ramp-up <s>              Clients connect spread over this time (default: 5)
+  --audio-ratio <0-1>        Share of turns sent as audio (default: 0.5)
+  --audio <file>             Recorded audio to replay (default: a generated 2 s WAV tone)
+  --think-time <ms>          Average pause between turns of a client (default: 1000)
+  --modality <TEXT|AUDIO>    Response modality (default: AUDIO)
+  --output-format <format>   Response audio format: wav, opus or mp3 (default: wav)
+  --turn-timeout <ms>        How long to wait for each answer (default: 30000)
+  --metrics-url <url>        Prometheus endpoint sampled during the run (default: <url>/metrics)
+  --sample-interval <ms>     How often /metrics is sampled (default: 1000)
+  --json                     Print the report as JSON
+  -h, --help                 Show this help
+
+Exits with 1 when any turn or connection failed.
+`;
+
+const TEXT_PROMPTS = [
+    'Olá! Em uma frase, o que você consegue fazer?',
+    'Explique o que é o Cloud Run em duas frases.',
+    'Qual a diferença entre latência e throughput?',
+    'Dê três dicas para uma boa apresentação.',
+];
+const PERCENTILES = [50, 90, 95, 99];
+const TONE_SAMPLE_RATE = 16000;
+const MOCK_READY_TIMEOUT_MS = 15000;
+const MOCK_STOP_TIMEOUT_MS = 10000;
+
+class LoadTestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LoadTestError';
+    }
+}
+
+function readOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            mock: { type: 'boolean', default: false },
+            url: { type: 'string', default: process.env.BACKEND_URL || 'ws://localhost:8080' },
+            token: { type: 'string' },
+            'api-key': { type: 'string', default: process.env.AUTH_ISSUER_KEY },
+            clients: { type: 'string', default: '10' },
+            duration: { type: 'string', default: '60' },
+            'ramp-up': { type: 'string', default: '5' },
+            'audio-ratio': { type: 'string', default: '0.5' },
+            audio: { type: 'string' },
+            'think-time': { type: 'string', default: '1000' },
+            modality: { type: 'string', default: 'AUDIO' },
+            'output-format': { type: 'string', default: 'wav' },
+            'turn-timeout': { type: 'string', default: '30000' },
+            'metrics-url': { type: 'string' },
+            'sample-interval': { type: 'string', default: '1000' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    const number = (name, isValid) => {
+        const value = Number(values[name]);
+        if (!Number.isFinite(value) || !isValid(value)) {
+            throw new LoadTestError(`Invalid --${name}: ${values[name]}`);
+        }
+        return value;
+    };
+    return {
+        ...values,
+        modality: values.modality.toUpperCase(),
+        clients: number('clients', value => Number.isInteger(value) && value > 0),
+        durationMs: number('duration', value => value > 0) * 1000,
+        rampUpMs: number('ramp-up', value => value >= 0) * 1000,
+        audioRatio: number('audio-ratio', value => value >= 0 && value <= 1),
+        thinkTimeMs: number('think-time', value => value >= 0),
+        turnTimeoutMs: number('turn-timeout', value => value > 0),
+        sampleIntervalMs: number('sample-interval', value => value > 0),
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ±50% so clients that started together drift apart.
+const jitter = ms => ms * (0.5 + Math.random());
+
+function createToneWav(seconds = 2, frequency = 440) {
+    const samples = Math.round(TONE_SAMPLE_RATE * seconds);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / TONE_SAMPLE_RATE) * 0.3 * 32767), i * 2);
+    }
+    return Buffer.concat([createWavHeader(pcm.length, TONE_SAMPLE_RATE, 16, 1), pcm]);
+}
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// The per-client and per-instance limits would otherwise refuse most of the synthetic clients.
+async function startMockBackend() {
+    const port = await findFreePort();
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'loadtest-'));
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: {
+            MAX_CONNECTIONS_PER_CLIENT: '100000',
+            MAX_CONNECTIONS_PER_IP: '100000',
+            MAX_SESSIONS_PER_INSTANCE: '100000',
+            MAX_MESSAGES_PER_MINUTE: '100000',
+            LOG_LEVEL: 'warn',
+            ...process.env,
+            MOCK_GEMINI: '1',
+            AUTH_SECRET: '',
+            PORT: String(port),
+            DATA_DIR: dataDir,
+        },
+        stdio: ['ignore', 'ignore', 'inherit'],
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const readyUrl = `http://localhost:${port}/readyz`;
+    const deadline = Date.now() + MOCK_READY_TIMEOUT_MS;
+    for (;;) {
+        if (child.exitCode !== null) {
+            throw new LoadTestError(`The mock backend exited with code ${child.exitCode}.`);
+        }
+        const response = await fetch(readyUrl).catch(() => null);
+        if (response && response.ok) break;
+        if (Date.now() > deadline) {
+            child.kill('SIGKILL');
+            throw new LoadTestError(`The mock backend did not become ready at ${readyUrl}.`);
+        }
+        await sleep(200);
+    }
+
+    return {
+        url: `ws://localhost:${port}`,
+        async stop() {
+            if (child.exitCode === null) {
+                child.kill('SIGTERM');
+                const timer = setTimeout(() => child.kill('SIGKILL'), MOCK_STOP_TIMEOUT_MS);
+                await exited;
+                clearTimeout(timer);
+            }
+            await fs.rm(dataDir, { recursive: true, force: true });
+        },
+    };
+}
+
+// Keeps the first and peak values of the gauges the report needs from a Prometheus text endpoint.
+class MetricsSampler {
+    constructor(url, intervalMs) {
+        this.url = url;
+        this.intervalMs = intervalMs;
+        this.samples = 0;
+        this.failures = 0;
+        this.peaks = {};
+        this.firstErrors = null;
+        this.lastErrors = null;
+        this.timer = null;
+    }
+
+    start() {
+        this.sample();
+        this.timer = setInterval(() => this.sample(), this.intervalMs);
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        await this.sample();
+    }
+
+    async sample() {
+        let text;
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            text = await response.text();
+        } catch {
+            this.failures += 1;
+            return;
+        }
+        const metrics = parsePrometheus(text);
+        this.samples += 1;
+        ['process_resident_memory_bytes', 'nodejs_heap_size_used_bytes', 'ffmpeg_processes_active', 'websocket_clients_active', 'gemini_sessions_open']
+            .forEach(name => {
+                const value = sumSamples(metrics[name]);
+                if (value !== null && !(this.peaks[name] >= value)) this.peaks[name] = value;
+            });
+        const errors = errorsByStage(metrics.backend_errors_total);
+        if (!this.firstErrors) this.firstErrors = errors;
+        this.lastErrors = errors;
+    }
+
+    // Only errors raised while the test ran, by stage.
+    backendErrors() {
+        if (!this.lastErrors) return {};
+        return Object.fromEntries(Object.entries(this.lastErrors)
+            .map(([stage, count]) => [stage, count - (this.firstErrors[stage] || 0)])
+            .filter(([, count]) => count > 0));
+    }
+}
+
+function parsePrometheus(text) {
+    const metrics = {};
+    text.split('\n').forEach(line => {
+        const match = /^([a-zA-Z_:][\w:]*)(?:\{([^}]*)\})?\s+(\S+)/.exec(line);
+        if (!match) return;
+        const labels = Object.fromEntries([...(match[2] || '').matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value]));
+        (metrics[match[1]] = metrics[match[1]] || []).push({ labels, value: Number(match[3]) });
+    });
+    return metrics;
+}
+
+const sumSamples = samples => (samples ? samples.reduce((sum, sample) => sum + sample.value, 0) : null);
+
+function errorsByStage(samples = []) {
+    const errors = {};
+    samples.forEach(({ labels, value }) => {
+        errors[labels.stage] = (errors[labels.stage] || 0) + value;
+    });
+    return errors;
+}
+
+async function runClient(index, options, audio, results, deadline) {
+    await sleep(options.rampUpMs * index / options.clients);
+    const session = new BackendSession(options);
+    const connectStartedAt = performance.now();
+    try {
+        await session.connect();
+        results.connections.push({ ok: true, ms: performance.now() - connectStartedAt });
+    } catch (error) {
+        results.connections.push({ ok: false, error: error.message });
+        return;
+    }
+
+    try {
+        for (let turnIndex = 0; performance.now() < deadline; turnIndex++) {
+            const kind = Math.random() < options.audioRatio ? 'audio' : 'text';
+            let result;
+            try {
+                result = await (kind === 'audio'
+                    ? session.sendAudio(audio, 'audio/wav')
+                    : session.sendText(TEXT_PROMPTS[(index + turnIndex) % TEXT_PROMPTS.length]));
+            } catch (error) {
+                if (!(error instanceof BackendClientError)) throw error;
+                results.turns.push({ kind, error: 'CONNECTION_CLOSED', message: error.message });
+                return;
+            }
+            const { turn, timing } = result;
+            const error = turn.error ? turn.error.code : turn.timedOut ? 'TIMEOUT' : null;
+            results.turns.push({ kind, error, ...(error ? {} : timing) });
+            await sleep(jitter(options.thinkTimeMs));
+        }
+    } finally {
+        session.close();
+    }
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function distribution(values) {
+    const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+    const summary = { count: sorted.length };
+    PERCENTILES.forEach(p => { summary[`p${p}`] = percentile(sorted, p); });
+    summary.max = sorted.length ? sorted[sorted.length - 1] : null;
+    return summary;
+}
+
+function buildReport(options, results, sampler, elapsedMs) {
+    const succeeded = results.turns.filter(turn => !turn.error);
+    const errors = {};
+    results.turns.filter(turn => turn.error).forEach(turn => { errors[turn.error] = (errors[turn.error] || 0) + 1; });
+    const failedConnections = results.connections.filter(connection => !connection.ok);
+    const latencies = {};
+    ['text', 'audio'].forEach(kind => {
+        const turns = succeeded.filter(turn => turn.kind === kind);
+        latencies[kind] = {
+            firstByteMs: distribution(turns.map(turn => turn.firstByteMs)),
+            latencyMs: distribution(turns.map(turn => turn.latencyMs)),
+        };
+    });
+
+    return {
+        url: options.url,
+        mock: options.mock,
+        clients: options.clients,
+        durationSeconds: elapsedMs / 1000,
+        connections: {
+            succeeded: results.connections.length - failedConnections.length,
+            failed: failedConnections.length,
+            connectMs: distribution(results.connections.filter(connection => connection.ok).map(connection => connection.ms)),
+            failures: [...new Set(failedConnections.map(connection => connection.error))],
+        },
+        turns: {
+            total: results.turns.length,
+            succeeded: succeeded.length,
+            text: results.turns.filter(turn => turn.kind === 'text').length,
+            audio: results.turns.filter(turn => turn.kind === 'audio').length,
+            perSecond: succeeded.length / (elapsedMs / 1000),
+            errorRate: results.turns.length ? (results.turns.length - succeeded.length) / results.turns.length : 0,
+            errors,
+        },
+        latencies,
+        backend: sampler.samples > 0
+            ? {
+                samples: sampler.samples,
+                peakRssBytes: sampler.peaks.process_resident_memory_bytes,
+                peakHeapUsedBytes: sampler.peaks.nodejs_heap_size_used_bytes,
+                peakFfmpegProcesses: sampler.peaks.ffmpeg_processes_active,
+                peakWebsocketClients: sampler.peaks.websocket_clients_active,
+                peakGeminiSessions: sampler.peaks.gemini_sessions_open,
+                errorsByStage: sampler.backendErrors(),
+            }
+            : { unavailable: `No samples from ${sampler.url}` },
+    };
+}
+
+const formatMs = value => (value === null ? '-' : String(Math.round(value)));
+const formatMb = bytes => (bytes === undefined ? '-' : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+function printReport(report) {
+    const { connections, turns, latencies, backend } = report;
+    const counts = map => Object.entries(map).map(([key, count]) => `${key} ${count}`).join(', ');
+
+    console.log(`\nLoad test: ${report.clients} clients for ${report.durationSeconds.toFixed(1)} s against ${report.url}${report.mock ? ' (mock Gemini)' : ''}`);
+    console.log(`Connections: ${connections.succeeded} ok, ${connections.failed} failed (connect p50 ${formatMs(connections.connectMs.p50)} ms)`);
+    connections.failures.forEach(failure => console.log(`  ${failure}`));
+    console.log(`Turns: ${turns.total} (text ${turns.text}, audio ${turns.audio}), ${turns.succeeded} answered, ${turns.perSecond.toFixed(2)} turns/s`);
+    console.log(`Errors: ${turns.total - turns.succeeded} (${(turns.errorRate * 100).toFixed(1)}%)${Object.keys(turns.errors).length ? ` - ${counts(turns.errors)}` : ''}`);
+
+    console.log(`\n${'(ms)'.padEnd(16)}${['count', ...PERCENTILES.map(p => `p${p}`), 'max'].map(column => column.padStart(8)).join('')}`);
+    ['text', 'audio'].forEach(kind => {
+        [['TTFB', 'firstByteMs'], ['latency', 'latencyMs']].forEach(([label, key]) => {
+            const summary = latencies[kind][key];
+            const cells = [String(summary.count), ...PERCENTILES.map(p => formatMs(summary[`p${p}`])), formatMs(summary.max)];
+            console.log(`${`${label} ${kind}`.padEnd(16)}${cells.map(cell => cell.padStart(8)).join('')}`);
+        });
+    });
+
+    if (backend.unavailable) {
+        console.log(`\nBackend: ${backend.unavailable}`);
+        return;
+    }
+    console.log(`\nBackend (${backend.samples} samples): peak RSS ${formatMb(backend.peakRssBytes)}, peak heap ${formatMb(backend.peakHeapUsedBytes)}, `
+        + `peak FFmpeg processes ${backend.peakFfmpegProcesses ?? '-'}, peak clients ${backend.peakWebsocketClients ?? '-'}, peak Gemini sessions ${backend.peakGeminiSessions ?? '-'}`);
+    if (Object.keys(backend.errorsByStage).length) {
+        console.log(`Backend errors by stage: ${counts(backend.errorsByStage)}`);
+    }
+}
+
+async function main() {
+    const options = readOptions(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    const audio = options.audio ? await readInputFile(options.audio) : createToneWav();
+
+    const mockBackend = options.mock ? await startMockBackend() : null;
+    if (mockBackend) options.url = mockBackend.url;
+    const sampler = new MetricsSampler(options['metrics-url'] || new URL('/metrics', options.url.replace(/^ws/, 'http')).href, options.sampleIntervalMs);
+
+    const results = { connections: [], turns: [] };
+    let elapsedMs;
+    try {
+        if (!options.json) {
+            console.error(`Starting ${options.clients} clients against ${options.url} for ${options.durationMs / 1000} s...`);
+        }
+        sampler.start();
+        const startedAt = performance.now();
+        const deadline = startedAt + options.durationMs;
+        await Promise.all(Array.from({ length: options.clients }, (_, index) => runClient(index, options, audio, results, deadline)));
+        elapsedMs = performance.now() - startedAt;
+    } finally {
+        await sampler.stop();
+        if (mockBackend) await mockBackend.stop();
+    }
+
+    const report = buildReport(options, results, sampler, elapsedMs);
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        printReport(report);
+    }
+    return report.connections.failed > 0 || report.turns.succeeded < report.turns.total ? 1 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error instanceof LoadTestError || error instanceof BackendClientError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? error.message : error);
+        process.exit(2);
+    });
@@ -0,0 +1,102 @@
+const crypto = require('node:crypto');
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+const AUDIO_KEYS = ['data', 'audio', 'audioData'];
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|api[-_]?key/i;
+const MAX_AUDIO_PREVIEW_LENGTH = 100;
+
+// Holds { connectionId, turnId } for whatever connection is being handled.
+const connectionContext = new AsyncLocalStorage();
+
+function createId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+function createConnectionContext() {
+    return { connectionId: createId(), turnId: null };
+}
+
+function startTurn(context) {
+    context.turnId = createId();
+    return context.turnId;
+}
+
+function runWithContext(context, fn) {
+    return connectionContext.run(context, fn);
+}
+
+function getContext() {
+    return connectionContext.getStore();
+}
+
+function bindContext(context, fn) {
+    return (...args) => connectionContext.run(context, () => fn(...args));
+}
+
+// Replaces base64 audio payloads and secrets so log lines stay small and safe to share.
+function redact(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    const clone = JSON.parse(JSON.stringify(value));
+
+    function traverse(current) {
+        if (current === null || typeof current !== 'object') {
+            return;
+        }
+        for (const key in current) {
+            if (typeof current[key] === 'string') {
+                if (SECRET_KEY_PATTERN.test(key)) {
+                    current[key] = '[REDACTED]';
+                } else if (AUDIO_KEYS.includes(key) && current[key].length > MAX_AUDIO_PREVIEW_LENGTH && /^[a-zA-Z0-9+/=]/.test(current[key].substring(0, 50))) {
+                    current[key] = `[${current[key].length} base64 chars redacted]`;
+                }
+            } else if (typeof current[key] === 'object') {
+                traverse(current[key]);
+            }
+        }
+    }
+
+    traverse(clone);
+    return clone;
+}
+
+function write(level, scope, message, fields) {
+    if (LEVELS[level] < LOG_LEVEL) return;
+
+    const context = connectionContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        severity: SEVERITIES[level],
+        scope,
+        message,
+        ...(context ? { connectionId: context.connectionId, turnId: context.turnId || undefined } : {})
+    };
+    if (fields !== undefined) {
+        Object.assign(entry, fields instanceof Error ? { error: redact(fields) } : redact(fields));
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+}
+
+module.exports = {
+    createConnectionContext,
+    startTurn,
+    runWithContext,
+    getContext,
+    bindContext,
+    redact,
+    debug: (scope, message, fields) => write('debug', scope, message, fields),
+    info: (scope, message, fields) => write('info', scope, message, fields),
+    warn: (scope, message, fields) => write('warn', scope, message, fields),
+    error: (scope, message, fields) => write('error', scope, message, fields),
+};
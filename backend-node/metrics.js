@@ -0,0 +1,119 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13, 21, 34];
+
+const turnsTotal = new client.Counter({
+    name: 'gemini_turns_total',
+    help: 'User turns sent to Gemini, by input modality.',
+    labelNames: ['modality'],
+    registers: [register]
+});
+
+const errorsTotal = new client.Counter({
+    name: 'backend_errors_total',
+    help: 'Errors reported to clients or closing sessions, by stage.',
+    labelNames: ['stage'],
+    registers: [register]
+});
+
+const imagesTotal = new client.Counter({
+    name: 'gemini_images_total',
+    help: 'Images and video frames forwarded to Gemini, by source.',
+    labelNames: ['source'],
+    registers: [register]
+});
+
+const timeToFirstResponse = new client.Histogram({
+    name: 'gemini_time_to_first_response_seconds',
+    help: 'Time from the user turn reaching the backend to the first Gemini message.',
+    labelNames: ['modality'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register]
+});
+
+const turnLatency = new client.Histogram({
+    name: 'gemini_turn_latency_seconds',
+    help: 'Time from the user turn reaching the backend to Gemini turnComplete.',
+    labelNames: ['modality'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register]
+});
+
+// Gauges are read from the live server state on every scrape.
+function registerStateGauges({ clientStateMap, geminiSessionMap }) {
+    new client.Gauge({
+        name: 'websocket_clients_active',
+        help: 'WebSocket clients currently connected.',
+        registers: [register],
+        collect() { this.set(clientStateMap.size); }
+    });
+    new client.Gauge({
+        name: 'gemini_sessions_open',
+        help: 'Gemini Live sessions currently open.',
+        registers: [register],
+        collect() { this.set(geminiSessionMap.size); }
+    });
+    new client.Gauge({
+        name: 'ffmpeg_processes_active',
+        help: 'FFmpeg processes currently running: input decoders and compressed output encoders.',
+        registers: [register],
+        collect() {
+            let count = 0;
+            clientStateMap.forEach(clientState => {
+                if (clientState.ffmpegProcess) count += 1;
+                if (clientState.audioOutput && clientState.audioOutput.format.codec) count += 1;
+            });
+            this.set(count);
+        }
+    });
+}
+
+function startTurn(clientState, modality) {
+    clientState.turnTiming = { modality, startedAt: process.hrtime.bigint(), firstResponseRecorded: false };
+    turnsTotal.inc({ modality });
+}
+
+function secondsSince(startedAt) {
+    return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+function recordFirstResponse(clientState) {
+    const timing = clientState.turnTiming;
+    if (!timing || timing.firstResponseRecorded) return;
+    timing.firstResponseRecorded = true;
+    timeToFirstResponse.observe({ modality: timing.modality }, secondsSince(timing.startedAt));
+}
+
+function recordTurnComplete(clientState) {
+    const timing = clientState.turnTiming;
+    if (!timing) return;
+    clientState.turnTiming = null;
+    turnLatency.observe({ modality: timing.modality }, secondsSince(timing.startedAt));
+}
+
+function recordError(stage) {
+    errorsTotal.inc({ stage });
+}
+
+function recordImage(source) {
+    imagesTotal.inc({ source });
+}
+
+async function handleMetricsRequest(req, res) {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+}
+
+module.exports = {
+    register,
+    registerStateGauges,
+    startTurn,
+    recordFirstResponse,
+    recordTurnComplete,
+    recordError,
+    recordImage,
+    handleMetricsRequest,
+};
@@ -0,0 +1,290 @@
+const { Buffer } = require('node:buffer');
+const logger = require('./logger');
+
+const MOCK_SAMPLE_RATE = 24000;
+const MOCK_AUDIO_MIME_TYPE = `audio/pcm;rate=${MOCK_SAMPLE_RATE}`;
+const DEFAULT_RESPONSE_DELAY_MS = 50;
+const AUDIO_INPUT_IDLE_MS = 800;
+
+function createCannedPcm(durationSeconds = 1, frequency = 440) {
+    const sampleCount = Math.floor(MOCK_SAMPLE_RATE * durationSeconds);
+    const pcm = Buffer.alloc(sampleCount * 2);
+    for (let i = 0; i < sampleCount; i++) {
+        const sample = Math.sin((2 * Math.PI * frequency * i) / MOCK_SAMPLE_RATE) * 0.2;
+        pcm.writeInt16LE(Math.round(sample * 32767), i * 2);
+    }
+    return pcm;
+}
+
+function splitIntoChunks(buffer, chunkSize) {
+    const chunks = [];
+    for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+        chunks.push(buffer.subarray(offset, offset + chunkSize));
+    }
+    return chunks;
+}
+
+function extractText(turns) {
+    const turnList = Array.isArray(turns) ? turns : [turns];
+    return turnList
+        .filter(Boolean)
+        .map(turn => {
+            if (typeof turn === 'string') return turn;
+            return (turn.parts || []).map(part => part.text || '').join('');
+        })
+        .join('')
+        .trim();
+}
+
+// Scripts are matched in order against the text of each completed user turn.
+// The first script whose `match` returns true decides how the mock answers.
+const defaultScripts = [
+    {
+        match: (text) => text.startsWith('/audio'),
+        run: (session) => session.replyWithAudio('Este é um áudio de teste do mock.')
+    },
+    {
+        match: (text) => text.startsWith('/error'),
+        run: (session) => session.fail('Mock Gemini error requested by script.')
+    },
+    {
+        match: (text) => text.startsWith('/interrupt'),
+        run: (session) => session.replyAndInterrupt('Esta resposta vai ser interrompida')
+    },
+    {
+        match: (text) => text.startsWith('/goaway'),
+        run: (session) => session.emit({ goAway: { timeLeft: '10s' } })
+    },
+    {
+        match: (text) => text.startsWith('/tool '),
+        run: (session, text) => {
+            const [, name, ...rest] = text.split(' ');
+            let args = {};
+            try {
+                args = rest.length ? JSON.parse(rest.join(' ')) : {};
+            } catch (e) {
+                logger.warn('MockGemini', 'Invalid tool args in script, using {}.', e);
+            }
+            session.requestToolCall(name, args);
+        }
+    },
+    {
+        match: (text) => text.startsWith('/context'),
+        run: (session) => {
+            const files = session.history
+                .map(turn => /^\[Attached file: (.+)\]/.exec(extractText([turn])))
+                .filter(Boolean)
+                .map(match => match[1]);
+            session.reply(`Contexto: ${session.history.length} turnos. Arquivos: ${files.join(', ') || 'nenhum'}.`);
+        }
+    },
+    {
+        match: (text) => text.startsWith('/images'),
+        run: (session) => session.reply(`Recebi ${session.receivedImages} imagens até agora.`)
+    },
+    {
+        match: () => true,
+        run: (session, text) => session.reply(`Você disse: ${text}`)
+    }
+];
+
+class MockLiveSession {
+    constructor(params, options) {
+        this.model = params.model;
+        this.config = params.config || {};
+        this.callbacks = params.callbacks;
+        this.scripts = options.scripts;
+        this.responseDelayMs = options.responseDelayMs;
+        this.closed = false;
+        this.timers = new Set();
+        this.history = [];
+        this.receivedAudioBytes = 0;
+        this.receivedAudioSeconds = 0;
+        this.receivedImages = 0;
+        this.audioIdleTimer = null;
+        this.toolCallCounter = 0;
+        this.resumptionCounter = 0;
+    }
+
+    schedule(fn, delayMs = this.responseDelayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (!this.closed) fn();
+        }, delayMs);
+        this.timers.add(timer);
+    }
+
+    emit(message) {
+        this.schedule(() => this.callbacks.onmessage(message));
+        if (message.serverContent && message.serverContent.turnComplete && this.config.sessionResumption) {
+            this.resumptionCounter += 1;
+            this.schedule(() => this.callbacks.onmessage({
+                sessionResumptionUpdate: { newHandle: `mock-handle-${this.resumptionCounter}`, resumable: true }
+            }));
+        }
+    }
+
+    // Like the Live API, the mock answers with audio unless TEXT was asked for.
+    respondsWithAudio() {
+        return !Array.isArray(this.config.responseModalities) || this.config.responseModalities.includes('AUDIO');
+    }
+
+    reply(text) {
+        if (this.respondsWithAudio()) {
+            this.replyWithAudio(text);
+        } else {
+            this.replyWithText(text);
+        }
+    }
+
+    replyWithText(text) {
+        const words = text.split(/(\s+)/);
+        const chunkSize = Math.max(1, Math.ceil(words.length / 3));
+        for (let i = 0; i < words.length; i += chunkSize) {
+            this.emit({ serverContent: { modelTurn: { parts: [{ text: words.slice(i, i + chunkSize).join('') }] } } });
+        }
+        this.emit({ serverContent: { turnComplete: true } });
+    }
+
+    replyWithAudio(spokenText) {
+        const chunks = splitIntoChunks(createCannedPcm(), MOCK_SAMPLE_RATE / 5 * 2);
+        const words = spokenText && this.config.outputAudioTranscription ? spokenText.split(/(\s+)/) : [];
+        const wordsPerChunk = Math.ceil(words.length / chunks.length);
+        chunks.forEach((chunk, index) => {
+            this.emit({ serverContent: { modelTurn: { parts: [{ inlineData: { data: chunk.toString('base64'), mimeType: MOCK_AUDIO_MIME_TYPE } }] } } });
+            const spokenWords = words.slice(index * wordsPerChunk, (index + 1) * wordsPerChunk).join('');
+            if (spokenWords) {
+                this.emit({ serverContent: { outputTranscription: { text: spokenWords } } });
+            }
+        });
+        this.emit({ serverContent: { turnComplete: true } });
+    }
+
+    // Starts an answer and cuts it off like Gemini does when the user talks over it:
+    // `interrupted` and no turnComplete.
+    replyAndInterrupt(text) {
+        const part = this.respondsWithAudio()
+            ? { inlineData: { data: createCannedPcm(0.2).toString('base64'), mimeType: MOCK_AUDIO_MIME_TYPE } }
+            : { text };
+        this.emit({ serverContent: { modelTurn: { parts: [part] } } });
+        this.emit({ serverContent: { interrupted: true } });
+    }
+
+    requestToolCall(name, args) {
+        this.toolCallCounter += 1;
+        this.emit({ toolCall: { functionCalls: [{ id: `mock-call-${this.toolCallCounter}`, name, args }] } });
+    }
+
+    fail(message) {
+        this.schedule(() => {
+            if (this.callbacks.onerror) this.callbacks.onerror({ message });
+            this.close(1011, message);
+        });
+    }
+
+    runScripts(text) {
+        const script = this.scripts.find(candidate => candidate.match(text));
+        if (script) script.run(this, text);
+    }
+
+    completeAudioTurn() {
+        clearTimeout(this.audioIdleTimer);
+        this.audioIdleTimer = null;
+        if (this.receivedAudioBytes === 0) return;
+        logger.debug('MockGemini', `Audio turn finished after ${this.receivedAudioBytes} bytes.`);
+        const seconds = this.receivedAudioSeconds.toFixed(1);
+        this.receivedAudioBytes = 0;
+        this.receivedAudioSeconds = 0;
+        if (this.config.inputAudioTranscription) {
+            this.emit({ serverContent: { inputTranscription: { text: `[mock] ${seconds} s de áudio recebidos`, finished: true } } });
+        }
+        this.replyWithAudio(`Recebi ${seconds} segundos de áudio.`);
+    }
+
+    sendClientContent(params = {}) {
+        if (this.closed) throw new Error('Mock Gemini session is closed.');
+        // Content without turnComplete only adds context; the mock keeps it but does not answer.
+        if (!params.turnComplete) {
+            const turns = Array.isArray(params.turns) ? params.turns : [params.turns];
+            this.history.push(...turns.filter(Boolean));
+            logger.debug('MockGemini', `Received ${turns.length} turns of context.`);
+            return;
+        }
+
+        const text = extractText(params.turns || []);
+        if (text) {
+            this.runScripts(text);
+        } else {
+            this.completeAudioTurn();
+        }
+    }
+
+    sendRealtimeInput(params = {}) {
+        if (this.closed) throw new Error('Mock Gemini session is closed.');
+        if (params.audio && params.audio.data) {
+            const bytes = Buffer.from(params.audio.data, 'base64').length;
+            const rateMatch = /rate=(\d+)/.exec(params.audio.mimeType || '');
+            this.receivedAudioBytes += bytes;
+            this.receivedAudioSeconds += bytes / ((rateMatch ? parseInt(rateMatch[1], 10) : MOCK_SAMPLE_RATE) * 2);
+            clearTimeout(this.audioIdleTimer);
+            this.audioIdleTimer = setTimeout(() => this.completeAudioTurn(), AUDIO_INPUT_IDLE_MS);
+        }
+        if (params.video && params.video.data) {
+            this.receivedImages += 1;
+        }
+        if (params.audioStreamEnd) {
+            this.completeAudioTurn();
+        }
+        if (params.text) {
+            this.runScripts(params.text);
+        }
+    }
+
+    sendToolResponse(params = {}) {
+        if (this.closed) throw new Error('Mock Gemini session is closed.');
+        const responses = Array.isArray(params.functionResponses) ? params.functionResponses : [params.functionResponses];
+        const summary = responses
+            .filter(Boolean)
+            .map(response => `${response.name}: ${JSON.stringify(response.response)}`)
+            .join('\n');
+        this.reply(`Resultado da ferramenta recebido.\n${summary}`);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        this.closed = true;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        clearTimeout(this.audioIdleTimer);
+        if (this.callbacks.onclose) {
+            setImmediate(() => this.callbacks.onclose({ code, reason, wasClean: code === 1000 }));
+        }
+    }
+}
+
+// Drop-in stand-in for `GoogleGenAI` that only implements `live.connect`.
+class MockGoogleGenAI {
+    constructor(options = {}) {
+        const sessionOptions = {
+            scripts: options.scripts || defaultScripts,
+            responseDelayMs: options.responseDelayMs ?? DEFAULT_RESPONSE_DELAY_MS
+        };
+        this.live = {
+            connect: async (params) => {
+                logger.info('MockGemini', `Opening mock live session for model ${params.model}.`);
+                const session = new MockLiveSession(params, sessionOptions);
+                await new Promise(resolve => setImmediate(resolve));
+                if (params.callbacks.onopen) params.callbacks.onopen();
+                session.emit({ setupComplete: {} });
+                return session;
+            }
+        };
+    }
+}
+
+module.exports = {
+    MockGoogleGenAI,
+    MockLiveSession,
+    defaultScripts,
+    createCannedPcm,
+};
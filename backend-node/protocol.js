@@ -0,0 +1,313 @@
+const { Buffer } = require('node:buffer');
+const logger = require('./logger');
+
+// Add a version when a change would break existing clients. Documented in PROTOCOL.md.
+const SUPPORTED_PROTOCOL_VERSIONS = [1, 2];
+// From this version on, audio is sent to the client in binary frames instead of base64 JSON.
+const BINARY_AUDIO_VERSION = 2;
+const BINARY_HEADER_LENGTH_BYTES = 4;
+
+const ErrorCodes = {
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+    PROTOCOL_VERSION_UNSUPPORTED: 'PROTOCOL_VERSION_UNSUPPORTED',
+    INVALID_SETUP: 'INVALID_SETUP',
+    CONVERSATION_NOT_FOUND: 'CONVERSATION_NOT_FOUND',
+    FRAME_TOO_LARGE: 'FRAME_TOO_LARGE',
+    AUDIO_TOO_LONG: 'AUDIO_TOO_LONG',
+    RATE_LIMITED: 'RATE_LIMITED',
+    TOO_MANY_CONNECTIONS: 'TOO_MANY_CONNECTIONS',
+    SERVER_AT_CAPACITY: 'SERVER_AT_CAPACITY',
+    AUDIO_FORMAT_UNSUPPORTED: 'AUDIO_FORMAT_UNSUPPORTED',
+    AUDIO_DECODE_FAILED: 'AUDIO_DECODE_FAILED',
+    AUDIO_OUTPUT_FAILED: 'AUDIO_OUTPUT_FAILED',
+    DOCUMENT_UNSUPPORTED: 'DOCUMENT_UNSUPPORTED',
+    DOCUMENT_TOO_LARGE: 'DOCUMENT_TOO_LARGE',
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+class ProtocolError extends Error {
+    constructor(code, message, inReplyTo) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+        this.inReplyTo = inReplyTo;
+    }
+}
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const ENVELOPE_FIELDS = {
+    type: { type: 'string', required: true },
+    id: { type: 'string', maxLength: 64 },
+};
+
+const audioDataField = { type: 'string', required: true, minLength: 1, base64: true };
+// Declared container, e.g. "audio/ogg;codecs=opus" or "audio/pcm;rate=16000".
+const mimeTypeField = { type: 'string', maxLength: 100 };
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const documentFields = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    mimeType: mimeTypeField,
+};
+const imageFields = {
+    mimeType: { type: 'string', required: true, enum: IMAGE_MIME_TYPES },
+    source: { type: 'string', enum: ['camera', 'screen', 'file'] },
+};
+
+// One entry per inbound message type. Fields not listed here are rejected.
+const InboundSchemas = {
+    setup: {
+        protocolVersion: { type: 'integer' },
+        resumeToken: { type: 'string', maxLength: 256 },
+        conversationId: { type: 'string', maxLength: 64 },
+        model: { type: 'string' },
+        systemInstruction: { type: 'string' },
+        responseModalities: { type: 'array', items: 'string' },
+        voiceName: { type: 'string' },
+        languageCode: { type: 'string' },
+        temperature: { type: 'number' },
+        outputAudioFormat: { type: 'string' },
+    },
+    text: {
+        message: { type: 'string', required: true, minLength: 1 },
+    },
+    audio: {
+        audioData: audioDataField,
+        mimeType: mimeTypeField,
+    },
+    audioStreamStart: {
+        mimeType: mimeTypeField,
+    },
+    audioStreamChunk: {
+        audioData: audioDataField,
+    },
+    audioStreamEnd: {},
+    image: {
+        imageData: { type: 'string', required: true, minLength: 1, base64: true },
+        ...imageFields,
+    },
+    document: {
+        documentData: { type: 'string', required: true, minLength: 1, base64: true },
+        ...documentFields,
+    },
+    cancel: {},
+};
+
+// Binary frames carry the file bytes as payload, so their header has no *Data field.
+const BinaryInboundSchemas = {
+    audio: {
+        mimeType: mimeTypeField,
+    },
+    audioStreamChunk: {},
+    image: imageFields,
+    document: documentFields,
+};
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'array') return Array.isArray(value);
+    return typeof value === type;
+}
+
+function checkField(name, value, rule) {
+    if (value === undefined) {
+        return rule.required ? `Missing required field "${name}".` : null;
+    }
+    if (!matchesType(value, rule.type)) {
+        return `Field "${name}" must be of type ${rule.type}.`;
+    }
+    if (rule.items && !value.every(item => matchesType(item, rule.items))) {
+        return `Field "${name}" must only contain values of type ${rule.items}.`;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return `Field "${name}" must not be empty.`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `Field "${name}" must be at most ${rule.maxLength} characters.`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `Field "${name}" must be one of: ${rule.enum.join(', ')}.`;
+    }
+    if (rule.base64 && !BASE64_PATTERN.test(value)) {
+        return `Field "${name}" must be base64 encoded.`;
+    }
+    return null;
+}
+
+function decodeFrame(raw) {
+    let frame;
+    try {
+        frame = JSON.parse(raw);
+    } catch {
+        throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, 'Frame is not valid JSON.');
+    }
+    if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+        throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, 'Frame must be a JSON object.');
+    }
+    return frame;
+}
+
+function validateFrame(frame, schemas = InboundSchemas) {
+    const inReplyTo = typeof frame.id === 'string' ? frame.id : undefined;
+    const envelopeError = checkField('type', frame.type, ENVELOPE_FIELDS.type) || checkField('id', frame.id, ENVELOPE_FIELDS.id);
+    if (envelopeError) {
+        throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, envelopeError, inReplyTo);
+    }
+
+    const schema = schemas[frame.type];
+    if (!schema) {
+        const reason = InboundSchemas[frame.type] ? 'cannot be sent as a binary frame' : 'is unknown';
+        throw new ProtocolError(ErrorCodes.UNKNOWN_MESSAGE_TYPE, `Message type "${frame.type}" ${reason}.`, inReplyTo);
+    }
+
+    const fields = { ...ENVELOPE_FIELDS, ...schema };
+    const unexpected = Object.keys(frame).find(name => !fields[name]);
+    if (unexpected) {
+        throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, `Unexpected field "${unexpected}" in ${frame.type} message.`, inReplyTo);
+    }
+    for (const [name, rule] of Object.entries(schema)) {
+        const fieldError = checkField(name, frame[name], rule);
+        if (fieldError) {
+            throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, `Invalid ${frame.type} message: ${fieldError}`, inReplyTo);
+        }
+    }
+    return frame;
+}
+
+// Binary frame layout: uint32 big-endian header length, JSON header, audio, image or document payload.
+function encodeBinaryFrame(header, payload) {
+    const headerBytes = Buffer.from(JSON.stringify(header));
+    const headerLength = Buffer.alloc(BINARY_HEADER_LENGTH_BYTES);
+    headerLength.writeUInt32BE(headerBytes.length, 0);
+    return Buffer.concat([headerLength, headerBytes, payload]);
+}
+
+// Returns the raw JSON header bytes and the payload, without validating the header.
+function splitBinaryFrame(buffer) {
+    const headerLength = buffer.length >= BINARY_HEADER_LENGTH_BYTES ? buffer.readUInt32BE(0) : -1;
+    if (headerLength < 0 || BINARY_HEADER_LENGTH_BYTES + headerLength > buffer.length) {
+        throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, 'Binary frame header is truncated.');
+    }
+    const headerEnd = BINARY_HEADER_LENGTH_BYTES + headerLength;
+    return { header: buffer.subarray(BINARY_HEADER_LENGTH_BYTES, headerEnd), payload: buffer.subarray(headerEnd) };
+}
+
+function decodeBinaryFrame(buffer) {
+    const { header, payload } = splitBinaryFrame(buffer);
+    const frame = validateFrame(decodeFrame(header), BinaryInboundSchemas);
+    if (payload.length === 0) {
+        throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, `Binary ${frame.type} frame has no payload.`, frame.id);
+    }
+    return { frame, payload };
+}
+
+// Best-effort id of a frame rejected before validation (e.g. for its size), so the
+// error can still name the request. Returns undefined when there is none.
+function peekFrameId(raw, isBinary = false) {
+    try {
+        const frame = JSON.parse(isBinary ? splitBinaryFrame(raw).header : raw);
+        const id = frame && frame.id;
+        return typeof id === 'string' && id.length <= 64 ? id : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+const PAYLOAD_FIELDS = ['audioData', 'imageData', 'documentData'];
+
+// Returns the validated frame and, for messages that carry a file, its decoded bytes.
+function parseInbound(raw, isBinary = false) {
+    if (isBinary) {
+        return decodeBinaryFrame(raw);
+    }
+    const frame = validateFrame(decodeFrame(raw));
+    const data = PAYLOAD_FIELDS.map(field => frame[field]).find(value => value !== undefined);
+    return { frame, payload: data !== undefined ? Buffer.from(data, 'base64') : null };
+}
+
+// Returns the validated setup frame, or null when the client opened with something else.
+function readSetupMessage(raw) {
+    let frame;
+    try {
+        frame = decodeFrame(raw);
+    } catch {
+        return null;
+    }
+    return frame.type === 'setup' ? validateFrame(frame) : null;
+}
+
+// Clients that predate versioning send no protocolVersion and get version 1.
+function negotiateVersion(setupMessage) {
+    const requested = setupMessage && setupMessage.protocolVersion !== undefined ? setupMessage.protocolVersion : 1;
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(requested)) {
+        throw new ProtocolError(
+            ErrorCodes.PROTOCOL_VERSION_UNSUPPORTED,
+            `Protocol version ${requested} is not supported. Supported versions: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}.`,
+            setupMessage.id
+        );
+    }
+    return requested;
+}
+
+// WebSocket -> id of the last message sent on it
+const messageCounters = new WeakMap();
+
+// Every outbound message gets a per-connection id and the id of the turn it belongs to.
+function createEnvelope(ws, { from, type, data, inReplyTo }) {
+    const id = (messageCounters.get(ws) || 0) + 1;
+    messageCounters.set(ws, id);
+    const context = logger.getContext();
+    return {
+        id,
+        from,
+        type,
+        turnId: (context && context.turnId) || undefined,
+        inReplyTo,
+        data
+    };
+}
+
+function send(ws, message) {
+    if (ws.readyState !== 1) return false;
+    ws.send(JSON.stringify(createEnvelope(ws, message)));
+    return true;
+}
+
+function sendBinary(ws, message, payload) {
+    if (ws.readyState !== 1) return false;
+    ws.send(encodeBinaryFrame(createEnvelope(ws, message), payload));
+    return true;
+}
+
+// Older clients get the audio base64 encoded in data.audio.
+function sendAudio(ws, protocolVersion, { from, type, mimeType, audio }) {
+    if (protocolVersion >= BINARY_AUDIO_VERSION) {
+        return sendBinary(ws, { from, type, data: { mimeType } }, audio);
+    }
+    return send(ws, { from, type, data: { audio: audio.toString('base64'), mimeType } });
+}
+
+function sendError(ws, code, message, { inReplyTo } = {}) {
+    return send(ws, { from: 'backend', type: 'error', inReplyTo, data: { code, message } });
+}
+
+module.exports = {
+    SUPPORTED_PROTOCOL_VERSIONS,
+    ErrorCodes,
+    ProtocolError,
+    InboundSchemas,
+    BinaryInboundSchemas,
+    parseInbound,
+    peekFrameId,
+    readSetupMessage,
+    negotiateVersion,
+    encodeBinaryFrame,
+    splitBinaryFrame,
+    send,
+    sendAudio,
+    sendError,
+};
@@ -2,72 +2,387 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
-const { GoogleGenAI } = require('@google/genai');
-const { Buffer } = require('node:buffer');
+const { GoogleGenAI, Modality } = require('@google/genai');
 
 const utils = require('./utils');
+const tools = require('./tools');
+const sessionConfig = require('./sessionConfig');
+const sessionResumption = require('./sessionResumption');
+const auth = require('./auth');
+const limits = require('./limits');
+const protocol = require('./protocol');
+const conversationStore = require('./conversationStore');
+const conversationRecorder = require('./conversationRecorder');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const { MockGoogleGenAI } = require('./mockGemini');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Frames above MAX_FRAME_BYTES get an error event; the hard cap only guards against abuse.
+const wss = new WebSocket.Server({ noServer: true, maxPayload: limits.MAX_FRAME_BYTES * 2, handleProtocols: auth.selectProtocol });
 
-const API_KEY = process.env.GEMINI_API_KEY;
-if (!API_KEY) {
-    console.error('[BE:Config] ERROR: GEMINI_API_KEY not found in environment variables.');
-    process.exit(1);
+app.use('/auth', auth.createAuthRouter());
+app.use('/conversations', conversationStore.createConversationRouter());
+
+function createGenAIClient() {
+    if (process.env.MOCK_GEMINI === '1') {
+        logger.warn('Config', 'MOCK_GEMINI=1: using the local mock Gemini Live server. No requests reach Google.');
+        return new MockGoogleGenAI();
+    }
+
+    const API_KEY = process.env.GEMINI_API_KEY;
+    if (!API_KEY) {
+        logger.error('Config', 'ERROR: GEMINI_API_KEY not found in environment variables.');
+        process.exit(1);
+    }
+    return new GoogleGenAI({ apiKey: API_KEY });
 }
 
-const ai = new GoogleGenAI({ apiKey: API_KEY });
+const SETUP_TIMEOUT_MS = parseInt(process.env.SETUP_TIMEOUT_MS, 10) || 1000;
+const READINESS_MAX_CONNECT_FAILURES = parseInt(process.env.READINESS_MAX_CONNECT_FAILURES, 10) || 3;
+const READINESS_FAILURE_WINDOW_MS = parseInt(process.env.READINESS_FAILURE_WINDOW_MS, 10) || 30000;
+// Cloud Run waits 10 s after SIGTERM before killing the instance.
+const SHUTDOWN_DEADLINE_MS = parseInt(process.env.SHUTDOWN_DEADLINE_MS, 10) || 8000;
+const SHUTDOWN_POLL_INTERVAL_MS = 100;
+
+const ai = createGenAIClient();
 const geminiSessionMap = new Map();
 const clientStateMap = new Map();
+const geminiConnectHealth = { consecutiveFailures: 0, lastFailureAt: 0 };
+let isShuttingDown = false;
+
+metrics.registerStateGauges({ clientStateMap, geminiSessionMap });
+
+// Not ready while the instance is full or Gemini keeps refusing new sessions.
+// Failures older than the window are ignored so the instance can recover.
+function getReadiness() {
+    const recentFailures = Date.now() - geminiConnectHealth.lastFailureAt < READINESS_FAILURE_WINDOW_MS
+        ? geminiConnectHealth.consecutiveFailures
+        : 0;
+    const checks = {
+        accepting: !isShuttingDown,
+        capacity: limits.hasCapacity(),
+        gemini: recentFailures < READINESS_MAX_CONNECT_FAILURES
+    };
+    return { ready: Object.values(checks).every(Boolean), checks };
+}
+
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+});
+
+app.get('/readyz', (req, res) => {
+    const readiness = getReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+});
+
+app.get('/metrics', metrics.handleMetricsRequest);
+
+async function openConversation(setupMessage, identity, model) {
+    const owner = conversationStore.getOwner(identity);
+    if (!setupMessage || !setupMessage.conversationId) {
+        return conversationStore.createConversation(owner, model);
+    }
+    const conversation = await conversationStore.loadConversation(setupMessage.conversationId);
+    if (!conversation || conversation.owner !== owner) {
+        throw new sessionConfig.SessionConfigError(`Conversation ${setupMessage.conversationId} not found.`, protocol.ErrorCodes.CONVERSATION_NOT_FOUND);
+    }
+    return conversation;
+}
 
-async function handleNewConnection(ws) {
-    console.info('[BE:WS] Frontend connected');
+// Buffers frames that arrive before the Gemini session is open so none are lost. The
+// buffer holds at most a minute's worth of frames within the frame size limit; a client
+// that goes over is disconnected. Replayed frames count once against the session's rate.
+function collectEarlyMessages(ws) {
+    const messages = [];
+    const rateState = limits.createRateState();
+    let resolveFirstMessage;
+    const firstMessage = new Promise(resolve => { resolveFirstMessage = resolve; });
+    const stop = () => ws.off('message', listener);
+    const listener = (message, isBinary) => {
+        if (message.length > limits.MAX_FRAME_BYTES) {
+            logger.warn('Limits', `Closing connection: ${message.length}-byte frame before the session was ready (max ${limits.MAX_FRAME_BYTES}).`);
+            stop();
+            limits.sendLimitError(ws, protocol.ErrorCodes.FRAME_TOO_LARGE, `Message too large: ${message.length} bytes (max ${limits.MAX_FRAME_BYTES}).`,
+                { inReplyTo: protocol.peekFrameId(message, isBinary) });
+            ws.close(1009, 'Message too large');
+        } else if (!limits.consumeMessage(rateState)) {
+            logger.warn('Limits', 'Closing connection: too many messages before the session was ready.');
+            stop();
+            limits.sendLimitError(ws, protocol.ErrorCodes.RATE_LIMITED, `Too many messages (max ${limits.MAX_MESSAGES_PER_MINUTE} per minute).`);
+            ws.close(1008, 'Too many messages');
+        } else {
+            messages.push({ message, isBinary });
+        }
+        resolveFirstMessage();
+    };
+    ws.on('message', listener);
+    return { messages, firstMessage, stop };
+}
+
+async function handleNewConnection(ws, req, identity, logContext) {
+    logger.info('WS', 'Frontend connected');
+    // Attached before any await: ws emits 'error' for frames above maxPayload, and an
+    // unhandled one while waiting for the setup or for Gemini would crash the process.
+    ws.on('close', logger.bindContext(logContext, (code, reason) => utils.handleWebSocketClose(ws, code, reason, geminiSessionMap, clientStateMap)));
+    ws.on('error', logger.bindContext(logContext, (error) => utils.handleWebSocketError(ws, error, geminiSessionMap, clientStateMap)));
     clientStateMap.set(ws, {
-        audioBuffer: Buffer.alloc(0),
-        mimeType: '',
-        ffmpegInputStream: null,
+        audioOutput: null,
+        audioInputStream: null,
         ffmpegProcess: null,
         pcmOutputStream: null,
         isSendingAudioToGemini: false,
-        firstGeminiResponseReceived: false
+        isStreamingAudio: false,
+        isModelResponding: false,
+        isTurnActive: false,
+        discardModelTurn: false,
+        firstGeminiResponseReceived: false,
+        turnStatus: null,
+        pendingToolCalls: new Map(),
+        identity,
+        logContext,
+        rateState: limits.createRateState(),
+        turnAudioBytes: 0,
+        audioLimitReached: false,
+        conversation: null,
+        pendingModelTurn: conversationRecorder.createPendingModelTurn(),
+        userAudioTurn: null,
+        userAudioChunks: null,
+        resumeToken: null,
+        resumptionHandle: null,
+        sessionParams: null,
+        protocolVersion: null,
+        streamMimeType: null,
+        inputPcmRate: null,
+        userAudioFormat: null,
+        documentQueue: Promise.resolve()
     });
 
+    const earlyMessages = collectEarlyMessages(ws);
+    await Promise.race([earlyMessages.firstMessage, new Promise(resolve => setTimeout(resolve, SETUP_TIMEOUT_MS))]);
+
+    if (ws.readyState !== WebSocket.OPEN) {
+        logger.info('WS', 'Frontend disconnected before the session was configured.');
+        earlyMessages.stop();
+        clientStateMap.delete(ws);
+        return;
+    }
+
+    let setupMessage = null;
+    let protocolVersion;
+    let resumable = null;
+    let sessionParams;
+    let conversation;
+    try {
+        const firstMessage = earlyMessages.messages[0];
+        setupMessage = firstMessage && !firstMessage.isBinary ? protocol.readSetupMessage(firstMessage.message) : null;
+        if (setupMessage) {
+            earlyMessages.messages.shift();
+            logger.info('WS', 'Received setup message from frontend.');
+        } else {
+            logger.info('WS', 'No setup message received. Using default session configuration.');
+        }
+        protocolVersion = protocol.negotiateVersion(setupMessage);
+
+        resumable = setupMessage && setupMessage.resumeToken
+            ? sessionResumption.takeResumableSession(setupMessage.resumeToken, identity)
+            : null;
+        sessionParams = resumable ? resumable.sessionParams : sessionConfig.buildSessionConfig(setupMessage || {});
+        conversation = resumable ? resumable.conversation : await openConversation(setupMessage, identity, sessionParams.model);
+    } catch (error) {
+        if (!(error instanceof sessionConfig.SessionConfigError) && !(error instanceof protocol.ProtocolError)) {
+            // E.g. an unreadable conversation file: the client gets an error instead of a hanging socket.
+            logger.error('WS', 'Error opening the session.', error);
+            metrics.recordError('setup');
+            earlyMessages.stop();
+            clientStateMap.delete(ws);
+            protocol.sendError(ws, protocol.ErrorCodes.INTERNAL_ERROR, 'Backend error opening the conversation.', { inReplyTo: setupMessage ? setupMessage.id : undefined });
+            ws.close(1011, 'Session setup failed');
+            return;
+        }
+        logger.warn('WS', `Rejected setup message (${error.code}): ${error.message}`);
+        metrics.recordError('setup');
+        earlyMessages.stop();
+        clientStateMap.delete(ws);
+        protocol.sendError(ws, error.code, error.message, { inReplyTo: setupMessage ? setupMessage.id : error.inReplyTo });
+        ws.close(1008, 'Invalid session setup');
+        return;
+    }
+
+    const clientState = clientStateMap.get(ws);
+    if (!clientState || ws.readyState !== WebSocket.OPEN) {
+        logger.info('WS', 'Frontend disconnected while the conversation was loading.');
+        earlyMessages.stop();
+        return;
+    }
+    clientState.protocolVersion = protocolVersion;
+    clientState.sessionParams = sessionParams;
+    clientState.conversation = conversation;
+    clientState.resumeToken = resumable ? setupMessage.resumeToken : sessionResumption.createResumeToken();
+    clientState.resumptionHandle = resumable ? resumable.handle : null;
+    if (resumable) {
+        logger.info('Resume', 'Resuming previous Gemini session for reconnecting client.');
+    }
+
     const connectParams = {
-        model: 'gemini-2.0-flash-live-001',
+        model: sessionParams.model,
         callbacks: {
-            onopen: () => utils.handleGeminiOpen(),
-            onmessage: (liveServerMessage) => utils.handleGeminiMessage(ws, liveServerMessage, clientStateMap),
-            onerror: (error) => utils.handleGeminiError(ws, error),
-            onclose: (closeEvent) => utils.handleGeminiClose(closeEvent)
+            onopen: logger.bindContext(logContext, () => utils.handleGeminiOpen()),
+            onmessage: logger.bindContext(logContext, (liveServerMessage) => utils.handleGeminiMessage(ws, liveServerMessage, geminiSessionMap, clientStateMap)),
+            onerror: logger.bindContext(logContext, (error) => utils.handleGeminiError(ws, error)),
+            onclose: logger.bindContext(logContext, (closeEvent) => utils.handleGeminiClose(ws, closeEvent, clientStateMap))
         },
         config: {
-            systemInstruction: "You are a Google Cloud Platform specialist."
+            ...sessionParams.config,
+            tools: tools.getToolDeclarations(),
+            sessionResumption: resumable ? { handle: resumable.handle } : {}
         }
     };
 
     try {
         const session = await ai.live.connect(connectParams);
+        geminiConnectHealth.consecutiveFailures = 0;
         geminiSessionMap.set(ws, session);
-        console.info('[BE:Gemini] Live session connected for client.');
+        logger.info('Gemini', `Live session connected for client (model ${connectParams.model}).`);
+
+        earlyMessages.stop();
+        ws.on('message', logger.bindContext(logContext, (message, isBinary) => utils.handleWebSocketMessage(ws, message, isBinary, geminiSessionMap, clientStateMap)));
+
+        if (ws.readyState !== WebSocket.OPEN) {
+            logger.warn('WS', 'Frontend disconnected while the Gemini session was opening.');
+            utils.cleanupClient(ws, geminiSessionMap, clientStateMap);
+            return;
+        }
+
+        const history = resumable ? [] : conversationStore.toGeminiHistory(conversation);
+        if (history.length > 0) {
+            session.sendClientContent({ turns: history, turnComplete: false });
+            logger.info('Store', `Seeded Gemini session with ${history.length} turns of conversation ${conversation.id}.`);
+        }
 
-        ws.on('message', (message) => utils.handleWebSocketMessage(ws, message, geminiSessionMap, clientStateMap));
-        ws.on('close', (code, reason) => utils.handleWebSocketClose(ws, code, reason, geminiSessionMap, clientStateMap));
-        ws.on('error', (error) => utils.handleWebSocketError(ws, error, geminiSessionMap, clientStateMap));
+        protocol.send(ws, {
+            from: 'backend',
+            type: 'ready',
+            inReplyTo: setupMessage ? setupMessage.id : undefined,
+            data: {
+                protocolVersion,
+                model: connectParams.model,
+                responseModalities: connectParams.config.responseModalities || [Modality.AUDIO],
+                outputAudioFormat: sessionParams.outputAudioFormat,
+                resumeToken: clientState.resumeToken,
+                resumed: !!resumable,
+                conversationId: conversation.id,
+                connectionId: logContext.connectionId,
+                maxFrameBytes: limits.MAX_FRAME_BYTES
+            }
+        });
+        earlyMessages.messages.forEach(({ message, isBinary }) => utils.handleWebSocketMessage(ws, message, isBinary, geminiSessionMap, clientStateMap));
 
     } catch (error) {
-        console.error(`[BE:Gemini] FATAL ERROR: Error connecting to Gemini Live: ${error.message || 'Unknown error'}`);
-        if (error.stack) console.error('[BE:Gemini] Stack:', error.stack);
+        logger.error('Gemini', 'FATAL ERROR: Error connecting to Gemini Live.', error);
+        geminiConnectHealth.consecutiveFailures += 1;
+        geminiConnectHealth.lastFailureAt = Date.now();
+        metrics.recordError('gemini_connect');
+        earlyMessages.stop();
         clientStateMap.delete(ws);
+        protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_UNAVAILABLE, 'Could not connect to Gemini Live: ' + (error.message || 'Unknown error'));
         ws.close(1011, 'Backend connection error');
     }
 }
 
 
-wss.on('connection', handleNewConnection);
+server.on('upgrade', (req, socket, head) => {
+    if (isShuttingDown) {
+        logger.info('Server', 'Rejected WebSocket upgrade: server is shutting down.');
+        auth.rejectUpgrade(socket, 503, 'Server is shutting down');
+        return;
+    }
+
+    let identity;
+    let releaseConnection;
+    try {
+        identity = auth.authenticateUpgrade(req);
+        releaseConnection = limits.acquireConnection(req, identity);
+    } catch (error) {
+        if (error instanceof auth.AuthError) {
+            logger.warn('Auth', `Rejected WebSocket upgrade (${error.statusCode}): ${error.message}`);
+        } else if (error instanceof limits.LimitError) {
+            logger.warn('Limits', `Rejected WebSocket upgrade (${error.code}): ${error.message}`);
+        } else {
+            throw error;
+        }
+        auth.rejectUpgrade(socket, error.statusCode, error.message);
+        return;
+    }
+
+    socket.once('close', releaseConnection);
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req, identity));
+});
+
+wss.on('connection', (ws, req, identity) => {
+    const logContext = logger.createConnectionContext();
+    logger.runWithContext(logContext, () => handleNewConnection(ws, req, identity, logContext))
+        .catch(logger.bindContext(logContext, error => {
+            logger.error('WS', 'Unexpected error setting up the connection.', error);
+            metrics.recordError('setup');
+            clientStateMap.delete(ws);
+            ws.close(1011, 'Internal error');
+        }));
+});
 
 const PORT = process.env.PORT || 8080;
 server.listen(PORT, () => {
-    console.info(`[BE:Server] Listening on port ${PORT}`);
-    console.info(`[BE:Server] WebSocket server running on ws://localhost:${PORT}`);
-});
\ No newline at end of file
+    logger.info('Server', `Listening on port ${PORT}`);
+    if (!auth.isAuthEnabled()) {
+        logger.warn('Auth', 'AUTH_SECRET is not set. WebSocket connections are NOT authenticated.');
+    } else if (!auth.canIssueTokens()) {
+        logger.warn('Auth', 'Neither ALLOWED_ORIGINS nor AUTH_ISSUER_KEY is set. POST /auth/token will refuse every request.');
+    } else if (!auth.hasIssuerKey()) {
+        logger.warn('Auth', 'AUTH_ISSUER_KEY is not set. Any caller sending an allowed Origin gets a token: connections are limited but NOT authenticated.');
+    }
+    logger.info('Server', `WebSocket server running on ws://localhost:${PORT}`);
+});
+
+async function waitForActiveTurns(deadline) {
+    while (Date.now() < deadline) {
+        const activeTurns = [...clientStateMap.values()].filter(utils.hasActiveTurn).length;
+        if (activeTurns === 0) return;
+        logger.debug('Server', `Waiting for ${activeTurns} active turns to finish.`);
+        await new Promise(resolve => setTimeout(resolve, SHUTDOWN_POLL_INTERVAL_MS));
+    }
+    logger.warn('Server', 'Shutdown deadline reached with turns still active.');
+}
+
+async function shutdown(signal) {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    const deadline = Date.now() + SHUTDOWN_DEADLINE_MS;
+    logger.info('Server', `Received ${signal}. Draining ${clientStateMap.size} connections.`);
+
+    clientStateMap.forEach((clientState, ws) => {
+        logger.runWithContext(clientState.logContext, () => {
+            protocol.send(ws, { from: 'backend', type: 'serverShutdown', data: { deadlineMs: SHUTDOWN_DEADLINE_MS } });
+        });
+    });
+
+    await waitForActiveTurns(deadline);
+
+    // Resumption handles live in this process, so there is nothing to keep.
+    [...clientStateMap.keys()].forEach(ws => {
+        logger.runWithContext(clientStateMap.get(ws).logContext, () => {
+            utils.cleanupClient(ws, geminiSessionMap, clientStateMap, false);
+            ws.close(1012, 'Server restarting');
+        });
+    });
+
+    wss.close();
+    server.close(() => {
+        logger.info('Server', 'HTTP server closed. Exiting.');
+        process.exit(0);
+    });
+    server.closeAllConnections();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,100 @@
+const { Modality } = require('@google/genai');
+const { ErrorCodes } = require('./protocol');
+const { OutputAudioFormats, DEFAULT_OUTPUT_AUDIO_FORMAT } = require('./audioFormats');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash-live-001';
+const DEFAULT_SYSTEM_INSTRUCTION = 'You are a Google Cloud Platform specialist.';
+const MAX_SYSTEM_INSTRUCTION_LENGTH = 4000;
+
+function listFromEnv(name, fallback) {
+    const value = process.env[name];
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+}
+
+const ALLOWED_MODELS = listFromEnv('ALLOWED_MODELS', [DEFAULT_MODEL]);
+const ALLOWED_MODALITIES = [Modality.TEXT, Modality.AUDIO];
+const ALLOWED_VOICES = listFromEnv('ALLOWED_VOICES', ['Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede', 'Leda', 'Orus', 'Zephyr']);
+const ALLOWED_LANGUAGES = listFromEnv('ALLOWED_LANGUAGES', ['pt-BR', 'en-US', 'es-US', 'fr-FR', 'de-DE', 'it-IT', 'ja-JP']);
+const ALLOWED_OUTPUT_AUDIO_FORMATS = Object.keys(OutputAudioFormats);
+
+class SessionConfigError extends Error {
+    constructor(message, code = ErrorCodes.INVALID_SETUP) {
+        super(message);
+        this.name = 'SessionConfigError';
+        this.code = code;
+    }
+}
+
+function assertAllowed(field, value, allowed) {
+    if (!allowed.includes(value)) {
+        throw new SessionConfigError(`Invalid ${field} "${value}". Allowed values: ${allowed.join(', ')}.`);
+    }
+}
+
+function buildSessionConfig(setup = {}) {
+    const model = setup.model || DEFAULT_MODEL;
+    assertAllowed('model', model, ALLOWED_MODELS);
+
+    const config = {
+        systemInstruction: DEFAULT_SYSTEM_INSTRUCTION,
+        inputAudioTranscription: {}
+    };
+
+    if (setup.systemInstruction !== undefined) {
+        if (typeof setup.systemInstruction !== 'string' || setup.systemInstruction.trim() === '') {
+            throw new SessionConfigError('systemInstruction must be a non-empty string.');
+        }
+        if (setup.systemInstruction.length > MAX_SYSTEM_INSTRUCTION_LENGTH) {
+            throw new SessionConfigError(`systemInstruction must be at most ${MAX_SYSTEM_INSTRUCTION_LENGTH} characters.`);
+        }
+        config.systemInstruction = setup.systemInstruction.trim();
+    }
+
+    if (setup.responseModalities !== undefined) {
+        if (!Array.isArray(setup.responseModalities) || setup.responseModalities.length !== 1) {
+            throw new SessionConfigError('responseModalities must be an array with exactly one modality.');
+        }
+        assertAllowed('response modality', setup.responseModalities[0], ALLOWED_MODALITIES);
+        config.responseModalities = [setup.responseModalities[0]];
+    }
+
+    if (!config.responseModalities || config.responseModalities.includes(Modality.AUDIO)) {
+        config.outputAudioTranscription = {};
+    }
+
+    if (setup.voiceName !== undefined || setup.languageCode !== undefined) {
+        config.speechConfig = {};
+        if (setup.voiceName !== undefined) {
+            assertAllowed('voiceName', setup.voiceName, ALLOWED_VOICES);
+            config.speechConfig.voiceConfig = { prebuiltVoiceConfig: { voiceName: setup.voiceName } };
+        }
+        if (setup.languageCode !== undefined) {
+            assertAllowed('languageCode', setup.languageCode, ALLOWED_LANGUAGES);
+            config.speechConfig.languageCode = setup.languageCode;
+        }
+    }
+
+    if (setup.temperature !== undefined) {
+        if (typeof setup.temperature !== 'number' || Number.isNaN(setup.temperature) || setup.temperature < 0 || setup.temperature > 2) {
+            throw new SessionConfigError('temperature must be a number between 0 and 2.');
+        }
+        config.temperature = setup.temperature;
+    }
+
+    // Not part of the Gemini config: the backend encodes the audio it forwards.
+    const outputAudioFormat = setup.outputAudioFormat || DEFAULT_OUTPUT_AUDIO_FORMAT;
+    assertAllowed('outputAudioFormat', outputAudioFormat, ALLOWED_OUTPUT_AUDIO_FORMATS);
+
+    return { model, config, outputAudioFormat };
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    ALLOWED_MODELS,
+    ALLOWED_MODALITIES,
+    ALLOWED_VOICES,
+    ALLOWED_LANGUAGES,
+    ALLOWED_OUTPUT_AUDIO_FORMATS,
+    SessionConfigError,
+    buildSessionConfig,
+};
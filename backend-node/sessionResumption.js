@@ -0,0 +1,60 @@
+const crypto = require('node:crypto');
+const logger = require('./logger');
+
+const RESUME_GRACE_MS = parseInt(process.env.SESSION_RESUME_GRACE_MS, 10) || 5 * 60 * 1000;
+
+// resumeToken -> { handle, sessionParams, conversation, subject, timer }
+const resumableSessions = new Map();
+
+function createResumeToken() {
+    return crypto.randomUUID();
+}
+
+function handleSessionResumptionUpdate(clientState, update) {
+    if (update.resumable && update.newHandle) {
+        clientState.resumptionHandle = update.newHandle;
+        logger.debug('Resume', 'Stored new Gemini session resumption handle.');
+    }
+}
+
+function keepForResumption(clientState) {
+    const { resumeToken, resumptionHandle, sessionParams, conversation, identity } = clientState;
+    if (!resumeToken || !resumptionHandle) {
+        return false;
+    }
+
+    const timer = setTimeout(() => {
+        resumableSessions.delete(resumeToken);
+        logger.info('Resume', 'Resumption grace window expired. Discarding session handle.');
+    }, RESUME_GRACE_MS);
+    timer.unref();
+
+    const subject = identity ? identity.subject : null;
+    resumableSessions.set(resumeToken, { handle: resumptionHandle, sessionParams, conversation, subject, timer });
+    logger.info('Resume', `Keeping session handle for ${RESUME_GRACE_MS} ms so the client can resume.`);
+    return true;
+}
+
+// A resume token alone is not enough: the session and its conversation only go
+// back to the token subject that owned them. Otherwise the entry stays for its owner.
+function takeResumableSession(resumeToken, identity) {
+    const entry = resumableSessions.get(resumeToken);
+    if (!entry) {
+        return null;
+    }
+    const subject = identity ? identity.subject : null;
+    if (entry.subject !== subject) {
+        logger.warn('Resume', 'Refused to resume a session owned by another subject.');
+        return null;
+    }
+    clearTimeout(entry.timer);
+    resumableSessions.delete(resumeToken);
+    return { handle: entry.handle, sessionParams: entry.sessionParams, conversation: entry.conversation };
+}
+
+module.exports = {
+    createResumeToken,
+    handleSessionResumptionUpdate,
+    keepForResumption,
+    takeResumableSession,
+};
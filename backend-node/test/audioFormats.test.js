@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('node:buffer');
+const audioFormats = require('../audioFormats');
+
+const { AudioFormats, AudioFormatError } = audioFormats;
+
+function bytes(...parts) {
+    return Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+}
+
+test('detectFromMagicBytes recognizes each container by its signature', () => {
+    assert.equal(audioFormats.detectFromMagicBytes(bytes([0x1A, 0x45, 0xDF, 0xA3])), AudioFormats.webm);
+    assert.equal(audioFormats.detectFromMagicBytes(bytes('OggS')), AudioFormats.ogg);
+    assert.equal(audioFormats.detectFromMagicBytes(bytes('RIFF', [0, 0, 0, 0], 'WAVE')), AudioFormats.wav);
+    assert.equal(audioFormats.detectFromMagicBytes(bytes([0, 0, 0, 0x20], 'ftypM4A ')), AudioFormats.mp4);
+    assert.equal(audioFormats.detectFromMagicBytes(bytes('ID3')), AudioFormats.mp3);
+    assert.equal(audioFormats.detectFromMagicBytes(bytes([0xFF, 0xFB])), AudioFormats.mp3);
+});
+
+test('detectFromMagicBytes does not mistake AAC, AVI or short buffers for audio it knows', () => {
+    assert.equal(audioFormats.detectFromMagicBytes(bytes([0xFF, 0xF1])), null);
+    assert.equal(audioFormats.detectFromMagicBytes(bytes('RIFF', [0, 0, 0, 0], 'AVI ')), null);
+    assert.equal(audioFormats.detectFromMagicBytes(bytes('Og')), null);
+    assert.equal(audioFormats.detectFromMagicBytes(Buffer.alloc(0)), null);
+});
+
+test('resolveInputFormat trusts the magic bytes over the declared type', () => {
+    const { format, sampleRate } = audioFormats.resolveInputFormat('audio/webm', bytes('OggS'));
+    assert.equal(format, AudioFormats.ogg);
+    assert.equal(sampleRate, audioFormats.DECODED_PCM_RATE);
+    assert.equal(audioFormats.resolveInputFormat('audio/mp4; codecs="mp4a.40.2"', bytes('????')).format, AudioFormats.mp4);
+    assert.equal(audioFormats.resolveInputFormat(undefined, bytes('ID3')).format, AudioFormats.mp3);
+});
+
+test('resolveInputFormat trusts a PCM declaration and validates its rate', () => {
+    assert.deepEqual(audioFormats.resolveInputFormat('audio/pcm', bytes('RIFF')), { format: AudioFormats.pcm, sampleRate: 16000 });
+    assert.equal(audioFormats.resolveInputFormat('audio/pcm;rate=48000', bytes('x')).sampleRate, 48000);
+    assert.throws(() => audioFormats.resolveInputFormat('audio/pcm;rate=96000', bytes('x')), AudioFormatError);
+});
+
+test('resolveInputFormat rejects audio it cannot identify', () => {
+    assert.throws(() => audioFormats.resolveInputFormat('audio/flac', bytes('fLaC')), /Unrecognized audio format \(declared audio\/flac\)/);
+    assert.throws(() => audioFormats.resolveInputFormat(undefined, bytes('????')), AudioFormatError);
+});
+
+test('createWavHeader describes the PCM data that follows it', () => {
+    const header = audioFormats.createWavHeader(100, 24000, 16, 1);
+    assert.equal(header.length, 44);
+    assert.equal(audioFormats.detectFromMagicBytes(header), AudioFormats.wav);
+    assert.equal(header.readUInt32LE(24), 24000);
+    assert.equal(header.readUInt32LE(28), 48000);
+    assert.equal(header.readUInt32LE(40), 100);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('node:buffer');
+const { once } = require('node:events');
+const express = require('express');
+
+process.env.AUTH_SECRET = 'test-secret';
+process.env.ALLOWED_ORIGINS = 'https://app.example.com';
+process.env.AUTH_MAX_SESSION_SECONDS = '3600';
+process.env.LOG_LEVEL = 'error';
+
+const auth = require('../auth');
+
+function assertAuthError(fn, statusCode, message) {
+    assert.throws(fn, error => {
+        assert.ok(error instanceof auth.AuthError);
+        assert.equal(error.statusCode, statusCode);
+        if (message) assert.equal(error.message, message);
+        return true;
+    });
+}
+
+function fakeUpgrade({ token, origin } = {}) {
+    const headers = origin ? { origin } : {};
+    if (token) headers['sec-websocket-protocol'] = `${auth.WEBSOCKET_PROTOCOL}, ${auth.TOKEN_PROTOCOL_PREFIX}${token}`;
+    return { url: '/', headers };
+}
+
+test('verifyToken returns the claims of a token it signed', () => {
+    const claims = auth.verifyToken(auth.signToken({ sub: 'alice' }));
+    assert.equal(claims.sub, 'alice');
+    assert.ok(claims.exp > claims.iat);
+});
+
+test('verifyToken rejects malformed, tampered and expired tokens', () => {
+    assertAuthError(() => auth.verifyToken('abc'), 401, 'Malformed token');
+    assertAuthError(() => auth.verifyToken(undefined), 401, 'Malformed token');
+
+    const [header, , signature] = auth.signToken({ sub: 'alice' }).split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sub: 'mallory', exp: 9999999999 })).toString('base64url');
+    assertAuthError(() => auth.verifyToken(`${header}.${forgedPayload}.${signature}`), 401, 'Invalid token signature');
+
+    const expired = auth.signToken({ sub: 'alice' }, -10);
+    assertAuthError(() => auth.verifyToken(expired), 401, 'Token expired');
+    assert.equal(auth.verifyToken(expired, { expiredGraceSeconds: 60 }).sub, 'alice');
+});
+
+test('authenticateUpgrade requires a valid token and an allowed origin', () => {
+    const token = auth.signToken({ sub: 'alice' });
+    assert.deepEqual(auth.authenticateUpgrade(fakeUpgrade({ token, origin: 'https://app.example.com' })), { subject: 'alice' });
+    assertAuthError(() => auth.authenticateUpgrade(fakeUpgrade({ origin: 'https://app.example.com' })), 401, 'Missing bearer token');
+    assertAuthError(() => auth.authenticateUpgrade(fakeUpgrade({ token, origin: 'https://evil.example.com' })), 403);
+
+    const req = { url: '/', headers: { authorization: `Bearer ${token}` } };
+    assert.deepEqual(auth.authenticateUpgrade(req), { subject: 'alice' });
+
+    // Tokens in the URL end up in access logs, so they are not read.
+    assertAuthError(() => auth.authenticateUpgrade({ url: `/?token=${token}`, headers: {} }), 401, 'Missing bearer token');
+});
+
+test('selectProtocol selects gemini-live and never the token', () => {
+    assert.equal(auth.selectProtocol(new Set([auth.WEBSOCKET_PROTOCOL, 'bearer.abc'])), auth.WEBSOCKET_PROTOCOL);
+    assert.equal(auth.selectProtocol(new Set(['bearer.abc'])), false);
+});
+
+test('POST /auth/token only issues tokens to an allowed origin', async (t) => {
+    const app = express();
+    app.use('/auth', auth.createAuthRouter());
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+    const tokenUrl = `http://127.0.0.1:${server.address().port}/auth/token`;
+
+    assert.equal((await fetch(tokenUrl, { method: 'POST' })).status, 403);
+    assert.equal((await fetch(tokenUrl, { method: 'POST', headers: { origin: 'https://evil.example.com' } })).status, 403);
+
+    const response = await fetch(tokenUrl, { method: 'POST', headers: { origin: 'https://app.example.com' } });
+    assert.equal(response.status, 200);
+    const { token } = await response.json();
+    const { sub } = auth.verifyToken(token);
+
+    // Renewing with the previous token keeps the subject and when the session started.
+    const renew = async (previousToken) => {
+        const renewed = await fetch(tokenUrl, { method: 'POST', headers: { origin: 'https://app.example.com', authorization: `Bearer ${previousToken}` } });
+        return auth.verifyToken((await renewed.json()).token);
+    };
+    const renewedClaims = await renew(token);
+    assert.equal(renewedClaims.sub, sub);
+    assert.equal(renewedClaims.auth_time, auth.verifyToken(token).auth_time);
+
+    // Even an expired token renews, until AUTH_MAX_SESSION_SECONDS after the first one.
+    const now = Math.floor(Date.now() / 1000);
+    assert.equal((await renew(auth.signToken({ sub: 'alice', auth_time: now - 3000 }, -1000))).sub, 'alice');
+    assert.notEqual((await renew(auth.signToken({ sub: 'alice', auth_time: now - 3601 }))).sub, 'alice');
+    assert.notEqual((await renew(auth.signToken({ sub: 'alice' }, -3601))).sub, 'alice');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { BackendSession } = require('../backendClient');
+
+// A session whose socket only records what is sent; events are fed to handleEvent directly.
+function openSession() {
+    const session = new BackendSession({ modality: 'TEXT', 'output-format': 'wav', turnTimeoutMs: 1000 });
+    session.ws = { readyState: WebSocket.OPEN, sent: [], send(raw) { this.sent.push(raw); } };
+    return session;
+}
+
+test('a text turn resolves with the answer on turnComplete', async () => {
+    const session = openSession();
+    const answer = session.sendText('oi');
+    session.handleEvent({ from: 'gemini', type: 'text', data: 'olá' });
+    session.handleEvent({ from: 'gemini', type: 'turnComplete' });
+
+    const { turn } = await answer;
+    assert.equal(turn.text, 'olá');
+    assert.equal(turn.interrupted, undefined);
+});
+
+for (const from of ['gemini', 'backend']) {
+    test(`an interrupted from ${from} ends the turn as interrupted`, async () => {
+        const session = openSession();
+        const answer = session.sendText('oi');
+        session.handleEvent({ from: 'gemini', type: 'text', data: 'olá' });
+        session.handleEvent({ from, type: 'interrupted' });
+
+        const { turn } = await answer;
+        assert.equal(turn.interrupted, true);
+        assert.equal(turn.text, 'olá');
+        assert.equal(session.pending, null);
+    });
+}
+
+test('an error about the pending message ends its turn with the error', async () => {
+    const session = openSession();
+    const answer = session.sendText('oi');
+    const { id } = JSON.parse(session.ws.sent[0]);
+    session.handleEvent({ from: 'backend', type: 'error', inReplyTo: id, data: { code: 'INVALID_MESSAGE', message: 'no' } });
+
+    const { turn } = await answer;
+    assert.deepEqual(turn.error, { code: 'INVALID_MESSAGE', message: 'no' });
+});
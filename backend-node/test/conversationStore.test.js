@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('node:buffer');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { setTimeout: sleep } = require('node:timers/promises');
+
+// Read once when conversationStore.js loads; each test file runs in its own process.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-store-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+
+const conversationStore = require('../conversationStore');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function conversationFile(id) {
+    return path.join(dataDir, 'conversations', `${id}.json`);
+}
+
+test('appended turns are saved and loaded back, titled by the first user turn', async () => {
+    const conversation = conversationStore.createConversation('alice', 'model-a');
+    await conversationStore.appendTurn(conversation, { role: 'user', type: 'document', name: 'a.txt', text: 'document' });
+    await conversationStore.appendTurn(conversation, { role: 'user', type: 'text', text: '  Como criar uma VPC?  ' });
+    await conversationStore.appendTurn(conversation, { role: 'model', type: 'text', text: 'Assim.' });
+
+    const loaded = await conversationStore.loadConversation(conversation.id);
+    assert.equal(loaded.owner, 'alice');
+    assert.equal(loaded.title, 'Como criar uma VPC?');
+    assert.deepEqual(loaded.turns.map(turn => turn.text), ['document', '  Como criar uma VPC?  ', 'Assim.']);
+    assert.ok(loaded.turns.every(turn => turn.at));
+});
+
+test('loadConversation returns null for unknown or invalid ids', async () => {
+    assert.equal(await conversationStore.loadConversation('00000000-0000-0000-0000-000000000000'), null);
+    assert.equal(await conversationStore.loadConversation('../../etc/passwd'), null);
+});
+
+test('listConversations only lists the owner\'s conversations, newest first', async () => {
+    const older = conversationStore.createConversation('bob', 'model-a');
+    await conversationStore.appendTurn(older, { role: 'user', type: 'text', text: 'primeira' });
+    // updatedAt has millisecond precision.
+    await sleep(5);
+    const newer = conversationStore.createConversation('bob', 'model-a');
+    await conversationStore.appendTurn(newer, { role: 'user', type: 'text', text: 'segunda' });
+    await conversationStore.saveConversation(conversationStore.createConversation('carol', 'model-a'));
+
+    const listed = await conversationStore.listConversations('bob');
+    assert.deepEqual(listed.map(({ id, title, turnCount }) => ({ id, title, turnCount })), [
+        { id: newer.id, title: 'segunda', turnCount: 1 },
+        { id: older.id, title: 'primeira', turnCount: 1 },
+    ]);
+});
+
+test('deleteConversation removes the conversation and its audio', async () => {
+    const conversation = conversationStore.createConversation('alice', 'model-a');
+    await conversationStore.appendTurn(conversation, { role: 'user', type: 'audio', transcript: 'oi' });
+    const audioId = await conversationStore.saveAudio(conversation.id, Buffer.from('RIFF'), 'wav');
+    assert.ok(fs.existsSync(path.join(dataDir, 'audio', conversation.id, audioId)));
+
+    await conversationStore.deleteConversation(conversation.id);
+    assert.equal(fs.existsSync(conversationFile(conversation.id)), false);
+    assert.equal(fs.existsSync(path.join(dataDir, 'audio', conversation.id)), false);
+
+    // A live session still holding the conversation must not write it back.
+    await conversationStore.appendTurn(conversation, { role: 'model', type: 'text', text: 'tarde demais' });
+    assert.equal(fs.existsSync(conversationFile(conversation.id)), false);
+});
+
+test('two sessions on the same conversation keep each other\'s turns', async () => {
+    const conversation = conversationStore.createConversation('alice', 'model-a');
+    await conversationStore.appendTurn(conversation, { role: 'user', type: 'text', text: 'início' });
+    const first = await conversationStore.loadConversation(conversation.id);
+    const second = await conversationStore.loadConversation(conversation.id);
+
+    const firstTurn = { role: 'user', type: 'text', text: 'da primeira aba' };
+    await conversationStore.appendTurn(first, firstTurn);
+    await sleep(5);
+    await conversationStore.appendTurn(second, { role: 'user', type: 'text', text: 'da segunda aba' });
+    // A later change to a turn is saved without undoing the other session's turns.
+    firstTurn.audio = { id: 'x.wav', mimeType: 'audio/wav' };
+    await conversationStore.saveConversation(first);
+
+    const loaded = await conversationStore.loadConversation(conversation.id);
+    assert.deepEqual(loaded.turns.map(turn => turn.text), ['início', 'da primeira aba', 'da segunda aba']);
+    assert.deepEqual(loaded.turns[1].audio, { id: 'x.wav', mimeType: 'audio/wav' });
+    assert.deepEqual(first.turns.map(turn => turn.text), ['início', 'da primeira aba', 'da segunda aba']);
+});
+
+test('audio for a deleted conversation is not written', async () => {
+    const conversation = conversationStore.createConversation('alice', 'model-a');
+    await conversationStore.appendTurn(conversation, { role: 'user', type: 'audio', transcript: 'oi' });
+    const deleted = conversationStore.deleteConversation(conversation.id);
+    await assert.rejects(conversationStore.saveAudio(conversation.id, Buffer.from('RIFF'), 'wav'), /no longer exists/);
+    await deleted;
+    assert.equal(fs.existsSync(path.join(dataDir, 'audio', conversation.id)), false);
+});
+
+test('toGeminiHistory rebuilds the dialogue, documents included', () => {
+    const history = conversationStore.toGeminiHistory({
+        turns: [
+            { role: 'user', type: 'document', name: 'a.txt', text: 'conteúdo' },
+            { role: 'user', type: 'audio', transcript: 'oi' },
+            { role: 'model', type: 'audio', interrupted: true },
+            { role: 'model', type: 'text', text: 'olá' },
+        ],
+    });
+    assert.deepEqual(history, [
+        { role: 'user', parts: [{ text: '[Attached file: a.txt]\nconteúdo\n[End of file: a.txt]' }] },
+        { role: 'user', parts: [{ text: 'oi' }] },
+        { role: 'model', parts: [{ text: 'olá' }] },
+    ]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('node:buffer');
+const documents = require('../documents');
+const { ErrorCodes } = require('../protocol');
+
+// Smallest PDF with one page of Helvetica text, with a correct xref table.
+function buildPdf(text) {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+function extract(name, data, { mimeType, maxChars = 1000 } = {}) {
+    return documents.extractDocumentText({ name, mimeType, data: Buffer.from(data), maxChars });
+}
+
+async function assertDocumentError(promise, code) {
+    await assert.rejects(promise, error => {
+        assert.ok(error instanceof documents.DocumentError);
+        assert.equal(error.code, code);
+        return true;
+    });
+}
+
+test('text files are accepted by extension or MIME type and trimmed', async () => {
+    assert.deepEqual(await extract('main.tf', '  resource "x" {}\n\n'), { kind: 'text', text: 'resource "x" {}', pages: null });
+    assert.equal((await extract('notes', 'olá', { mimeType: 'text/plain' })).text, 'olá');
+    assert.equal((await extract('data', '{}', { mimeType: 'application/json' })).text, '{}');
+});
+
+test('PDFs are detected by their bytes, whatever the name', async () => {
+    const document = await extract('report.bin', buildPdf('Hello PDF'));
+    assert.equal(document.kind, 'pdf');
+    assert.equal(document.pages, 1);
+    assert.match(document.text, /Hello PDF/);
+});
+
+test('unsupported, binary, non-UTF-8 and empty files are rejected', async () => {
+    await assertDocumentError(extract('photo.png', 'not an image'), ErrorCodes.DOCUMENT_UNSUPPORTED);
+    await assertDocumentError(extract('app.log', Buffer.from([0x61, 0x00, 0x62])), ErrorCodes.DOCUMENT_UNSUPPORTED);
+    await assertDocumentError(extract('app.log', Buffer.from([0xff, 0xfe, 0x41])), ErrorCodes.DOCUMENT_UNSUPPORTED);
+    await assertDocumentError(extract('empty.txt', '   \n'), ErrorCodes.DOCUMENT_UNSUPPORTED);
+    await assertDocumentError(extract('broken.pdf', '%PDF-1.4 garbage'), ErrorCodes.DOCUMENT_UNSUPPORTED);
+});
+
+test('text above maxChars is rejected with DOCUMENT_TOO_LARGE', async () => {
+    await assertDocumentError(extract('big.txt', 'a'.repeat(11), { maxChars: 10 }), ErrorCodes.DOCUMENT_TOO_LARGE);
+    assert.equal((await extract('ok.txt', 'a'.repeat(10), { maxChars: 10 })).text.length, 10);
+});
+
+test('formatDocumentForModel labels the file for the model', () => {
+    assert.equal(documents.formatDocumentForModel('a.txt', 'hi'), '[Attached file: a.txt]\nhi\n[End of file: a.txt]');
+});
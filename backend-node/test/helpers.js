@@ -0,0 +1,140 @@
+const { spawn } = require('node:child_process');
+const { once } = require('node:events');
+const fs = require('node:fs/promises');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const WebSocket = require('ws');
+const protocol = require('../protocol');
+
+const EVENT_TIMEOUT_MS = 5000;
+const STARTUP_TIMEOUT_MS = 10000;
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitForHealthy(url, child) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+        try {
+            if ((await fetch(`${url}/healthz`)).ok) return;
+        } catch {
+            // Not listening yet.
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Server did not become healthy');
+}
+
+// Starts server.js with MOCK_GEMINI=1 on a free port and a temporary DATA_DIR.
+async function startMockServer(env = {}) {
+    const port = await findFreePort();
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backend-test-'));
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            AUTH_SECRET: '',
+            LOG_LEVEL: 'error',
+            ...env,
+            MOCK_GEMINI: '1',
+            PORT: String(port),
+            DATA_DIR: dataDir,
+        },
+        stdio: ['ignore', 'ignore', 'inherit'],
+    });
+    const url = `http://127.0.0.1:${port}`;
+    const stop = async () => {
+        if (child.exitCode === null) {
+            child.kill();
+            await once(child, 'exit');
+        }
+        await fs.rm(dataDir, { recursive: true, force: true });
+    };
+    try {
+        await waitForHealthy(url, child);
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+    return { url, wsUrl: url.replace(/^http/, 'ws'), dataDir, stop };
+}
+
+// Collects the backend events so each step can wait for the one it expects.
+// Binary frames are decoded to their header with the payload in data.audio.
+class TestClient {
+    constructor(url, options) {
+        this.ws = new WebSocket(url, options);
+        this.events = [];
+        this.waiters = [];
+        this.ws.on('message', (data, isBinary) => {
+            let event;
+            if (isBinary) {
+                const { header, payload } = protocol.splitBinaryFrame(data);
+                event = JSON.parse(header);
+                event.data = { ...event.data, audio: payload };
+            } else {
+                event = JSON.parse(data.toString());
+            }
+            this.events.push(event);
+            this.waiters = this.waiters.filter(waiter => !waiter(event));
+        });
+    }
+
+    async open(setup = {}) {
+        await once(this.ws, 'open');
+        this.send({ id: 'setup-1', type: 'setup', ...setup });
+        return this.waitFor(event => event.type === 'ready');
+    }
+
+    send(message) {
+        this.ws.send(JSON.stringify(message));
+    }
+
+    waitFor(predicate) {
+        const found = this.events.find(predicate);
+        if (found) return Promise.resolve(found);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out waiting for a backend event')), EVENT_TIMEOUT_MS);
+            this.waiters.push(event => {
+                if (!predicate(event)) return false;
+                clearTimeout(timer);
+                resolve(event);
+                return true;
+            });
+        });
+    }
+
+    // Sends a text turn and resolves with its turnStarted and turnComplete events.
+    async runTextTurn(id, message) {
+        this.send({ id, type: 'text', message });
+        const started = await this.waitFor(event => event.type === 'turnStarted' && event.inReplyTo === id);
+        const complete = await this.waitFor(event => event.type === 'turnComplete' && event.turnId === started.turnId);
+        return { started, complete };
+    }
+
+    eventsOfTurn(type, turnId) {
+        return this.events.filter(event => event.type === type && event.turnId === turnId);
+    }
+
+    answerText(turnId) {
+        return this.eventsOfTurn('text', turnId).map(event => event.data).join('');
+    }
+
+    close() {
+        this.ws.close();
+    }
+}
+
+module.exports = {
+    startMockServer,
+    TestClient,
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read once when limits.js loads; each test file runs in its own process.
+process.env.MAX_CONNECTIONS_PER_CLIENT = '2';
+process.env.MAX_CONNECTIONS_PER_IP = '3';
+process.env.MAX_SESSIONS_PER_INSTANCE = '4';
+process.env.MAX_MESSAGES_PER_MINUTE = '2';
+process.env.MAX_AUDIO_SECONDS_PER_TURN = '10';
+process.env.TRUSTED_PROXY_HOPS = '1';
+process.env.LOG_LEVEL = 'error';
+
+const limits = require('../limits');
+const { ErrorCodes } = require('../protocol');
+
+function fakeRequest(remoteAddress, forwardedFor) {
+    return { headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}, socket: { remoteAddress } };
+}
+
+function assertLimitError(fn, code, statusCode) {
+    assert.throws(fn, error => {
+        assert.ok(error instanceof limits.LimitError);
+        assert.equal(error.code, code);
+        assert.equal(error.statusCode, statusCode);
+        return true;
+    });
+}
+
+test('getClientIp only trusts the entries appended by the configured proxies', () => {
+    assert.equal(limits.getClientIp(fakeRequest('10.0.0.1', '6.6.6.6, 203.0.113.7')), '203.0.113.7');
+    assert.equal(limits.getClientIp(fakeRequest('10.0.0.1', '203.0.113.7')), '203.0.113.7');
+    assert.equal(limits.getClientIp(fakeRequest('10.0.0.1')), '10.0.0.1');
+});
+
+test('acquireConnection caps each subject and each IP', () => {
+    const req = fakeRequest('10.0.0.1', '198.51.100.1');
+    const releases = [
+        limits.acquireConnection(req, { subject: 'alice' }),
+        limits.acquireConnection(req, { subject: 'alice' }),
+    ];
+    assertLimitError(() => limits.acquireConnection(req, { subject: 'alice' }), ErrorCodes.TOO_MANY_CONNECTIONS, 429);
+
+    // A fresh token (new subject) still counts against the IP.
+    releases.push(limits.acquireConnection(req, { subject: 'bob' }));
+    assertLimitError(() => limits.acquireConnection(req, { subject: 'carol' }), ErrorCodes.TOO_MANY_CONNECTIONS, 429);
+    assertLimitError(() => limits.acquireConnection(req, null), ErrorCodes.TOO_MANY_CONNECTIONS, 429);
+
+    // Releasing twice must not free a second slot.
+    releases[0]();
+    releases[0]();
+    releases.push(limits.acquireConnection(req, { subject: 'alice' }));
+    releases.forEach(release => release());
+});
+
+test('acquireConnection caps the whole instance', () => {
+    const releases = [1, 2, 3, 4].map(n => limits.acquireConnection(fakeRequest('10.0.0.1', `192.0.2.${n}`), null));
+    assert.equal(limits.hasCapacity(), false);
+    assertLimitError(() => limits.acquireConnection(fakeRequest('10.0.0.1', '192.0.2.5'), null), ErrorCodes.SERVER_AT_CAPACITY, 503);
+    releases.forEach(release => release());
+    assert.equal(limits.hasCapacity(), true);
+});
+
+test('consumeMessage allows MAX_MESSAGES_PER_MINUTE per window', () => {
+    const rateState = limits.createRateState();
+    assert.equal(limits.consumeMessage(rateState), true);
+    assert.equal(limits.consumeMessage(rateState), true);
+    assert.equal(limits.consumeMessage(rateState), false);
+
+    rateState.windowStart -= 60 * 1000;
+    assert.equal(limits.consumeMessage(rateState), true);
+});
+
+test('isAudioTurnTooLong counts 16-bit PCM at the input rate', () => {
+    const bytesPerSecond = 16000 * 2;
+    assert.equal(limits.isAudioTurnTooLong(10 * bytesPerSecond, 16000), false);
+    assert.equal(limits.isAudioTurnTooLong(10 * bytesPerSecond + 1, 16000), true);
+});
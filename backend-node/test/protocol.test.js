@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('node:buffer');
+const protocol = require('../protocol');
+
+const { ErrorCodes, ProtocolError } = protocol;
+
+function assertProtocolError(fn, code, inReplyTo) {
+    assert.throws(fn, error => {
+        assert.ok(error instanceof ProtocolError);
+        assert.equal(error.code, code);
+        assert.equal(error.inReplyTo, inReplyTo);
+        return true;
+    });
+}
+
+test('splitBinaryFrame returns the header and the payload', () => {
+    const frame = protocol.encodeBinaryFrame({ id: 'a1', type: 'audio' }, Buffer.from([1, 2, 3]));
+    const { header, payload } = protocol.splitBinaryFrame(frame);
+    assert.deepEqual(JSON.parse(header), { id: 'a1', type: 'audio' });
+    assert.deepEqual([...payload], [1, 2, 3]);
+});
+
+test('splitBinaryFrame rejects truncated frames', () => {
+    assertProtocolError(() => protocol.splitBinaryFrame(Buffer.from([0, 0])), ErrorCodes.INVALID_MESSAGE);
+    const frame = protocol.encodeBinaryFrame({ type: 'audio' }, Buffer.alloc(0));
+    assertProtocolError(() => protocol.splitBinaryFrame(frame.subarray(0, frame.length - 2)), ErrorCodes.INVALID_MESSAGE);
+});
+
+test('parseInbound decodes binary frames', () => {
+    const frame = protocol.encodeBinaryFrame({ id: 'a1', type: 'audio', mimeType: 'audio/webm' }, Buffer.from('webm'));
+    const { frame: parsed, payload } = protocol.parseInbound(frame, true);
+    assert.equal(parsed.type, 'audio');
+    assert.equal(parsed.mimeType, 'audio/webm');
+    assert.equal(payload.toString(), 'webm');
+});
+
+test('parseInbound rejects binary frames without payload or with a JSON-only type', () => {
+    const empty = protocol.encodeBinaryFrame({ id: 'a1', type: 'audio' }, Buffer.alloc(0));
+    assertProtocolError(() => protocol.parseInbound(empty, true), ErrorCodes.INVALID_MESSAGE, 'a1');
+    const text = protocol.encodeBinaryFrame({ id: 't1', type: 'text', message: 'hi' }, Buffer.from('x'));
+    assertProtocolError(() => protocol.parseInbound(text, true), ErrorCodes.UNKNOWN_MESSAGE_TYPE, 't1');
+    const base64 = protocol.encodeBinaryFrame({ id: 'a2', type: 'audio', audioData: 'AAAA' }, Buffer.from('x'));
+    assertProtocolError(() => protocol.parseInbound(base64, true), ErrorCodes.INVALID_MESSAGE, 'a2');
+});
+
+test('parseInbound decodes base64 payloads in JSON frames', () => {
+    const raw = JSON.stringify({ id: 'a2', type: 'audio', audioData: Buffer.from('pcm').toString('base64'), mimeType: 'audio/webm' });
+    const { frame, payload } = protocol.parseInbound(raw);
+    assert.equal(frame.mimeType, 'audio/webm');
+    assert.equal(payload.toString(), 'pcm');
+    assert.equal(protocol.parseInbound(JSON.stringify({ type: 'text', message: 'hi' })).payload, null);
+});
+
+test('parseInbound validates JSON frames', () => {
+    assertProtocolError(() => protocol.parseInbound('not json'), ErrorCodes.INVALID_MESSAGE);
+    assertProtocolError(() => protocol.parseInbound('[]'), ErrorCodes.INVALID_MESSAGE);
+    assertProtocolError(() => protocol.parseInbound(JSON.stringify({ id: 'x', type: 'nope' })), ErrorCodes.UNKNOWN_MESSAGE_TYPE, 'x');
+    assertProtocolError(() => protocol.parseInbound(JSON.stringify({ id: 'x', type: 'text' })), ErrorCodes.INVALID_MESSAGE, 'x');
+    assertProtocolError(() => protocol.parseInbound(JSON.stringify({ id: 'x', type: 'text', message: 'hi', extra: 1 })), ErrorCodes.INVALID_MESSAGE, 'x');
+    assertProtocolError(() => protocol.parseInbound(JSON.stringify({ id: 'x', type: 'audio', audioData: '***' })), ErrorCodes.INVALID_MESSAGE, 'x');
+});
+
+test('peekFrameId reads the id of frames that are never validated', () => {
+    assert.equal(protocol.peekFrameId(JSON.stringify({ id: 't1', type: 'text', message: 'hi' })), 't1');
+    assert.equal(protocol.peekFrameId(protocol.encodeBinaryFrame({ id: 'd1', type: 'document' }, Buffer.from('x')), true), 'd1');
+    assert.equal(protocol.peekFrameId('not json'), undefined);
+    assert.equal(protocol.peekFrameId(Buffer.from([0, 0, 0, 9]), true), undefined);
+    assert.equal(protocol.peekFrameId(JSON.stringify({ id: 'x'.repeat(65) })), undefined);
+});
+
+test('readSetupMessage only returns a valid setup frame', () => {
+    assert.equal(protocol.readSetupMessage(JSON.stringify({ type: 'text', message: 'hi' })), null);
+    assert.equal(protocol.readSetupMessage('not json'), null);
+    assert.equal(protocol.readSetupMessage(JSON.stringify({ id: 's', type: 'setup', protocolVersion: 2 })).protocolVersion, 2);
+    assertProtocolError(() => protocol.readSetupMessage(JSON.stringify({ id: 's', type: 'setup', protocolVersion: '2' })), ErrorCodes.INVALID_MESSAGE, 's');
+});
+
+test('negotiateVersion defaults to version 1 and rejects unknown versions', () => {
+    assert.equal(protocol.negotiateVersion(null), 1);
+    assert.equal(protocol.negotiateVersion({ type: 'setup', protocolVersion: 2 }), 2);
+    assertProtocolError(() => protocol.negotiateVersion({ id: 's', type: 'setup', protocolVersion: 99 }), ErrorCodes.PROTOCOL_VERSION_UNSUPPORTED, 's');
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('node:buffer');
+const { execFileSync } = require('node:child_process');
+const { once } = require('node:events');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { path: ffmpegPath } = require('@ffmpeg-installer/ffmpeg');
+const { startMockServer, TestClient } = require('./helpers');
+const { BackendSession } = require('../backendClient');
+const protocol = require('../protocol');
+
+const { ErrorCodes } = protocol;
+
+const MAX_FRAME_BYTES = 4096;
+
+let server;
+
+test.before(async () => {
+    server = await startMockServer({ MAX_FRAME_BYTES: String(MAX_FRAME_BYTES), FFMPEG_PATH: ffmpegPath });
+});
+
+test.after(() => server && server.stop());
+
+function connect(t) {
+    const client = new TestClient(server.wsUrl);
+    t.after(() => client.close());
+    return client;
+}
+
+test('a text turn round-trips through the mock Gemini', async (t) => {
+    const client = connect(t);
+    const ready = await client.open({ responseModalities: ['TEXT'] });
+    assert.equal(ready.inReplyTo, 'setup-1');
+    assert.deepEqual(ready.data.responseModalities, ['TEXT']);
+
+    const { started } = await client.runTextTurn('msg-1', 'olá');
+    assert.equal(started.data.modality, 'text');
+    assert.equal(client.answerText(started.turnId), 'Você disse: olá');
+});
+
+test('without responseModalities the mock answers with audio, like the Live API', async (t) => {
+    const client = connect(t);
+    const ready = await client.open({ protocolVersion: 2 });
+    assert.deepEqual(ready.data.responseModalities, ['AUDIO']);
+
+    const { started } = await client.runTextTurn('msg-1', 'olá');
+    assert.ok(client.eventsOfTurn('audioChunk', started.turnId).length > 0);
+    const [audio] = client.eventsOfTurn('audio', started.turnId);
+    assert.equal(audio.data.mimeType, 'audio/wav');
+    assert.equal(audio.data.audio.subarray(0, 4).toString(), 'RIFF');
+    assert.equal(client.answerText(started.turnId), '');
+});
+
+test('the answer after an interruption without turnComplete is delivered', async (t) => {
+    const client = connect(t);
+    await client.open({ responseModalities: ['TEXT'] });
+
+    client.send({ id: 'msg-1', type: 'text', message: '/interrupt' });
+    await client.waitFor(event => event.type === 'interrupted');
+
+    const { started } = await client.runTextTurn('msg-2', 'de novo');
+    assert.equal(client.answerText(started.turnId), 'Você disse: de novo');
+});
+
+test('an invalid setup is refused and the connection closed with 1008', async (t) => {
+    const client = connect(t);
+    await once(client.ws, 'open');
+    client.send({ id: 'setup-1', type: 'setup', protocolVersion: 99 });
+    const [code] = await once(client.ws, 'close');
+    assert.equal(code, 1008);
+    const error = client.events.find(event => event.type === 'error');
+    assert.equal(error.inReplyTo, 'setup-1');
+    assert.equal(error.data.code, ErrorCodes.PROTOCOL_VERSION_UNSUPPORTED);
+});
+
+test('an invalid message gets an error in reply to it and the connection stays open', async (t) => {
+    const client = connect(t);
+    await client.open({ responseModalities: ['TEXT'] });
+    client.send({ id: 'bad-1', type: 'text', message: '' });
+    const error = await client.waitFor(event => event.type === 'error');
+    assert.equal(error.inReplyTo, 'bad-1');
+    assert.equal(error.data.code, ErrorCodes.INVALID_MESSAGE);
+
+    const { started } = await client.runTextTurn('msg-1', 'ainda aqui');
+    assert.equal(client.answerText(started.turnId), 'Você disse: ainda aqui');
+});
+
+test('a document is attached as context and answered with documentAttached', async (t) => {
+    const client = connect(t);
+    await client.open({ responseModalities: ['TEXT'] });
+
+    client.ws.send(protocol.encodeBinaryFrame({ id: 'doc-1', type: 'document', name: 'main.tf' }, Buffer.from('resource "x" {}')));
+    const attached = await client.waitFor(event => event.type === 'documentAttached');
+    assert.equal(attached.inReplyTo, 'doc-1');
+    assert.deepEqual({ ...attached.data, text: undefined }, { name: 'main.tf', kind: 'text', pages: null, characters: 15, text: undefined });
+
+    const { started } = await client.runTextTurn('msg-1', '/context');
+    assert.match(client.answerText(started.turnId), /Arquivos: main\.tf\./);
+});
+
+test('an oversized document gets FRAME_TOO_LARGE in reply to its id', async (t) => {
+    const client = connect(t);
+    const ready = await client.open({ responseModalities: ['TEXT'] });
+    assert.equal(ready.data.maxFrameBytes, MAX_FRAME_BYTES);
+
+    client.ws.send(protocol.encodeBinaryFrame({ id: 'doc-1', type: 'document', name: 'big.txt' }, Buffer.alloc(MAX_FRAME_BYTES, 'a')));
+    const error = await client.waitFor(event => event.type === 'error');
+    assert.equal(error.inReplyTo, 'doc-1');
+    assert.equal(error.data.code, ErrorCodes.FRAME_TOO_LARGE);
+});
+
+test('an MP4 upload is decoded from a temporary file and answered', async (t) => {
+    // The MP4 muxer needs a seekable output, so the clip is written to a file first.
+    const file = path.join(os.tmpdir(), `server-test-${process.pid}.m4a`);
+    t.after(() => fs.rmSync(file, { force: true }));
+    execFileSync(ffmpegPath, ['-loglevel', 'error', '-f', 'lavfi', '-i', 'sine=frequency=440:duration=0.2', '-c:a', 'aac', '-b:a', '16k', '-y', file]);
+
+    const client = connect(t);
+    await client.open({ protocolVersion: 2 });
+    client.ws.send(protocol.encodeBinaryFrame({ id: 'a1', type: 'audio', mimeType: 'audio/mp4' }, fs.readFileSync(file)));
+    const end = await client.waitFor(event => event.type === 'turnComplete' || event.type === 'error');
+    assert.equal(end.type, 'turnComplete');
+    assert.ok(client.events.some(event => event.type === 'status' && event.data.phase === 'transcoding'));
+});
+
+test('an oversized frame sent before the session is ready closes the connection', async (t) => {
+    const client = connect(t);
+    await once(client.ws, 'open');
+    // As the first frame it is always buffered, never handled by the live session.
+    client.ws.send(protocol.encodeBinaryFrame({ id: 'doc-1', type: 'document', name: 'big.txt' }, Buffer.alloc(MAX_FRAME_BYTES, 'a')));
+
+    const [code] = await once(client.ws, 'close');
+    assert.equal(code, 1009);
+    const error = client.events.find(event => event.type === 'error');
+    assert.equal(error.inReplyTo, 'doc-1');
+    assert.equal(error.data.code, ErrorCodes.FRAME_TOO_LARGE);
+});
+
+test('a burst of frames before the session is ready is rate limited', async (t) => {
+    const limited = await startMockServer({ MAX_MESSAGES_PER_MINUTE: '2' });
+    t.after(() => limited.stop());
+    const client = new TestClient(limited.wsUrl);
+    t.after(() => client.close());
+    await once(client.ws, 'open');
+    // Corked into one TCP write so the server reads the burst before the session is ready.
+    client.ws._socket.cork();
+    client.send({ id: 'setup-1', type: 'setup' });
+    client.send({ id: 'msg-1', type: 'text', message: 'um' });
+    client.send({ id: 'msg-2', type: 'text', message: 'dois' });
+    client.ws._socket.uncork();
+
+    const [code] = await once(client.ws, 'close');
+    assert.equal(code, 1008);
+    assert.equal(client.events.find(event => event.type === 'error').data.code, ErrorCodes.RATE_LIMITED);
+});
+
+test('a token is accepted as a subprotocol or a header, never in the URL', async (t) => {
+    const authed = await startMockServer({ AUTH_SECRET: 'test-secret', ALLOWED_ORIGINS: 'https://app.example.com' });
+    t.after(() => authed.stop());
+    const response = await fetch(`${authed.url}/auth/token`, { method: 'POST', headers: { origin: 'https://app.example.com' } });
+    const { token } = await response.json();
+
+    const client = new TestClient(authed.wsUrl, ['gemini-live', `bearer.${token}`]);
+    t.after(() => client.close());
+    await client.open({ responseModalities: ['TEXT'] });
+    assert.equal(client.ws.protocol, 'gemini-live');
+
+    const session = new BackendSession({ url: authed.wsUrl, token, modality: 'TEXT', 'output-format': 'wav', turnTimeoutMs: 5000 });
+    t.after(() => session.close());
+    await session.connect();
+    assert.equal((await session.sendText('olá')).turn.text, 'Você disse: olá');
+
+    const inUrl = new TestClient(`${authed.wsUrl}/?token=${token}`);
+    const [, refused] = await once(inUrl.ws, 'unexpected-response');
+    assert.equal(refused.statusCode, 401);
+    // Aborting the handshake emits an error that is expected here.
+    inUrl.ws.on('error', () => {});
+    inUrl.ws.terminate();
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read once when sessionConfig.js loads; each test file runs in its own process.
+process.env.ALLOWED_MODELS = 'gemini-2.0-flash-live-001, model-b';
+process.env.ALLOWED_VOICES = 'Kore';
+process.env.ALLOWED_LANGUAGES = 'pt-BR';
+
+const sessionConfig = require('../sessionConfig');
+const { ErrorCodes } = require('../protocol');
+
+function assertInvalidSetup(setup, message) {
+    assert.throws(() => sessionConfig.buildSessionConfig(setup), error => {
+        assert.ok(error instanceof sessionConfig.SessionConfigError);
+        assert.equal(error.code, ErrorCodes.INVALID_SETUP);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('allowlists are read from the environment', () => {
+    assert.deepEqual(sessionConfig.ALLOWED_MODELS, ['gemini-2.0-flash-live-001', 'model-b']);
+    assert.deepEqual(sessionConfig.ALLOWED_VOICES, ['Kore']);
+    assert.deepEqual(sessionConfig.ALLOWED_LANGUAGES, ['pt-BR']);
+});
+
+test('an empty setup gets the defaults, with audio transcription on both sides', () => {
+    const { model, config, outputAudioFormat } = sessionConfig.buildSessionConfig();
+    assert.equal(model, sessionConfig.DEFAULT_MODEL);
+    assert.equal(outputAudioFormat, 'wav');
+    assert.equal(config.responseModalities, undefined);
+    assert.deepEqual(config.inputAudioTranscription, {});
+    assert.deepEqual(config.outputAudioTranscription, {});
+});
+
+test('allowed values are copied into the Gemini config', () => {
+    const { model, config, outputAudioFormat } = sessionConfig.buildSessionConfig({
+        model: 'model-b',
+        systemInstruction: '  Be brief.  ',
+        responseModalities: ['TEXT'],
+        voiceName: 'Kore',
+        languageCode: 'pt-BR',
+        temperature: 0,
+        outputAudioFormat: 'opus',
+    });
+    assert.equal(model, 'model-b');
+    assert.equal(outputAudioFormat, 'opus');
+    assert.equal(config.systemInstruction, 'Be brief.');
+    assert.deepEqual(config.responseModalities, ['TEXT']);
+    assert.equal(config.outputAudioTranscription, undefined);
+    assert.deepEqual(config.speechConfig, { voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Kore' } }, languageCode: 'pt-BR' });
+    assert.equal(config.temperature, 0);
+});
+
+test('values outside the allowlists are rejected with INVALID_SETUP', () => {
+    assertInvalidSetup({ model: 'gemini-ultra' }, /Invalid model "gemini-ultra"\. Allowed values: gemini-2\.0-flash-live-001, model-b\./);
+    assertInvalidSetup({ voiceName: 'Puck' }, /Invalid voiceName/);
+    assertInvalidSetup({ languageCode: 'en-US' }, /Invalid languageCode/);
+    assertInvalidSetup({ responseModalities: ['VIDEO'] }, /Invalid response modality/);
+    assertInvalidSetup({ outputAudioFormat: 'flac' }, /Invalid outputAudioFormat/);
+});
+
+test('malformed values are rejected with INVALID_SETUP', () => {
+    assertInvalidSetup({ responseModalities: ['TEXT', 'AUDIO'] }, /exactly one modality/);
+    assertInvalidSetup({ systemInstruction: '   ' }, /non-empty string/);
+    assertInvalidSetup({ systemInstruction: 'x'.repeat(4001) }, /at most 4000 characters/);
+    assertInvalidSetup({ temperature: 2.5 }, /between 0 and 2/);
+    assertInvalidSetup({ temperature: NaN }, /between 0 and 2/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+
+// Read once when sessionResumption.js loads; each test file runs in its own process.
+process.env.SESSION_RESUME_GRACE_MS = '50';
+process.env.LOG_LEVEL = 'error';
+
+const sessionResumption = require('../sessionResumption');
+
+function disconnectedClient(identity, handle = 'handle-1') {
+    const clientState = { resumeToken: sessionResumption.createResumeToken(), sessionParams: { model: 'model-a' }, conversation: { id: 'c1' }, identity };
+    sessionResumption.handleSessionResumptionUpdate(clientState, { resumable: true, newHandle: handle });
+    assert.equal(sessionResumption.keepForResumption(clientState), true);
+    return clientState;
+}
+
+test('only resumable updates with a handle are stored', () => {
+    const clientState = {};
+    sessionResumption.handleSessionResumptionUpdate(clientState, { resumable: false, newHandle: 'h' });
+    sessionResumption.handleSessionResumptionUpdate(clientState, { resumable: true });
+    assert.equal(clientState.resumptionHandle, undefined);
+    assert.equal(sessionResumption.keepForResumption({ ...clientState, resumeToken: 't' }), false);
+});
+
+test('the owner resumes the session once', () => {
+    const { resumeToken } = disconnectedClient({ subject: 'alice' });
+    assert.deepEqual(sessionResumption.takeResumableSession(resumeToken, { subject: 'alice' }), {
+        handle: 'handle-1',
+        sessionParams: { model: 'model-a' },
+        conversation: { id: 'c1' },
+    });
+    assert.equal(sessionResumption.takeResumableSession(resumeToken, { subject: 'alice' }), null);
+});
+
+test('another subject cannot resume, and the session stays for its owner', () => {
+    const { resumeToken } = disconnectedClient({ subject: 'alice' });
+    assert.equal(sessionResumption.takeResumableSession(resumeToken, { subject: 'mallory' }), null);
+    assert.equal(sessionResumption.takeResumableSession(resumeToken, null), null);
+    assert.equal(sessionResumption.takeResumableSession(resumeToken, { subject: 'alice' }).handle, 'handle-1');
+});
+
+test('without authentication the session resumes without a subject', () => {
+    const { resumeToken } = disconnectedClient(null);
+    assert.equal(sessionResumption.takeResumableSession(resumeToken, { subject: 'alice' }), null);
+    assert.equal(sessionResumption.takeResumableSession(resumeToken, null).handle, 'handle-1');
+});
+
+test('the session is discarded after SESSION_RESUME_GRACE_MS', async () => {
+    const { resumeToken } = disconnectedClient({ subject: 'alice' });
+    await sleep(100);
+    assert.equal(sessionResumption.takeResumableSession(resumeToken, { subject: 'alice' }), null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Type } = require('@google/genai');
+
+// Read once when tools/index.js loads; each test file runs in its own process.
+process.env.TOOL_TIMEOUT_MS = '50';
+process.env.LOG_LEVEL = 'error';
+
+const tools = require('../tools');
+
+function fakeSocket() {
+    return { readyState: 1, sent: [], send(raw) { this.sent.push(JSON.parse(raw)); } };
+}
+
+function fakeSession() {
+    return { responses: [], sendToolResponse({ functionResponses }) { this.responses.push(...functionResponses); } };
+}
+
+function sentOfType(ws, type) {
+    return ws.sent.filter(message => message.type === type).map(message => message.data);
+}
+
+const emptyParameters = { type: Type.OBJECT, properties: {} };
+
+tools.registerTool({ name: 'echo', description: 'Echoes its arguments.', parameters: emptyParameters, handler: async args => args });
+tools.registerTool({ name: 'broken', description: 'Always fails.', parameters: emptyParameters, handler: async () => { throw new Error('boom'); } });
+tools.registerTool({
+    name: 'slow',
+    description: 'Never finishes on its own.',
+    parameters: emptyParameters,
+    handler: (args, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted')))),
+});
+
+test('registerTool rejects incomplete definitions', () => {
+    assert.throws(() => tools.registerTool({ name: 'nope', parameters: emptyParameters }), /Invalid tool definition: nope/);
+    assert.throws(() => tools.registerTool({ handler() {} }), /Invalid tool definition: unnamed tool/);
+});
+
+test('getToolDeclarations lists every registered tool without its handler', () => {
+    const [{ functionDeclarations }] = tools.getToolDeclarations();
+    const names = functionDeclarations.map(declaration => declaration.name);
+    assert.ok(['get_current_time', 'list_gcp_regions', 'echo', 'broken', 'slow'].every(name => names.includes(name)));
+    assert.ok(functionDeclarations.every(declaration => !('handler' in declaration)));
+});
+
+test('handleToolCall runs each call, tells the client and answers Gemini', async () => {
+    const ws = fakeSocket();
+    const session = fakeSession();
+    const clientState = { pendingToolCalls: new Map() };
+    await tools.handleToolCall(ws, session, clientState, {
+        functionCalls: [
+            { id: 'c1', name: 'echo', args: { value: 1 } },
+            { id: 'c2', name: 'broken' },
+            { id: 'c3', name: 'missing' },
+        ],
+    });
+
+    assert.deepEqual(sentOfType(ws, 'toolCall').map(call => call.id), ['c1', 'c2', 'c3']);
+    assert.deepEqual(session.responses, [
+        { id: 'c1', name: 'echo', response: { output: { value: 1 } } },
+        { id: 'c2', name: 'broken', response: { error: 'boom' } },
+        { id: 'c3', name: 'missing', response: { error: 'Unknown tool: missing' } },
+    ]);
+    assert.equal(sentOfType(ws, 'toolResult').length, 3);
+    assert.equal(clientState.pendingToolCalls.size, 0);
+});
+
+test('a tool that runs past TOOL_TIMEOUT_MS is aborted and answered with an error', async () => {
+    const ws = fakeSocket();
+    const session = fakeSession();
+    await tools.handleToolCall(ws, session, { pendingToolCalls: new Map() }, { functionCalls: [{ id: 'c1', name: 'slow' }] });
+    assert.deepEqual(session.responses, [{ id: 'c1', name: 'slow', response: { error: 'Tool slow timed out after 50 ms' } }]);
+});
+
+test('a cancelled call is aborted and its result is not sent to Gemini', async () => {
+    const ws = fakeSocket();
+    const session = fakeSession();
+    const clientState = { pendingToolCalls: new Map() };
+    const running = tools.handleToolCall(ws, session, clientState, { functionCalls: [{ id: 'c1', name: 'slow' }] });
+    tools.handleToolCallCancellation(ws, clientState, { ids: ['c1'] });
+    await running;
+
+    assert.deepEqual(session.responses, []);
+    assert.deepEqual(sentOfType(ws, 'toolCancelled'), [{ id: 'c1' }]);
+    assert.deepEqual(sentOfType(ws, 'toolResult'), []);
+});
@@ -0,0 +1,25 @@
+const { Type } = require('@google/genai');
+
+module.exports = {
+    name: 'get_current_time',
+    description: 'Returns the current date and time, optionally in a given IANA time zone (for example "America/Sao_Paulo").',
+    parameters: {
+        type: Type.OBJECT,
+        properties: {
+            timeZone: {
+                type: Type.STRING,
+                description: 'IANA time zone name. Defaults to UTC.'
+            }
+        }
+    },
+    async handler({ timeZone = 'UTC' } = {}) {
+        const now = new Date();
+        const formatted = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            dateStyle: 'full',
+            timeStyle: 'long'
+        }).format(now);
+
+        return { timeZone, iso: now.toISOString(), formatted };
+    }
+};
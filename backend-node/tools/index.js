@@ -0,0 +1,118 @@
+const getCurrentTime = require('./getCurrentTime');
+const listGcpRegions = require('./listGcpRegions');
+const metrics = require('../metrics');
+const protocol = require('../protocol');
+const logger = require('../logger');
+
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 10000;
+
+const registeredTools = new Map();
+
+function registerTool(tool) {
+    if (!tool.name || !tool.parameters || typeof tool.handler !== 'function') {
+        throw new Error(`Invalid tool definition: ${tool.name || 'unnamed tool'}`);
+    }
+    registeredTools.set(tool.name, tool);
+}
+
+[getCurrentTime, listGcpRegions].forEach(registerTool);
+
+function getToolDeclarations() {
+    if (registeredTools.size === 0) return [];
+    const functionDeclarations = [...registeredTools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+    return [{ functionDeclarations }];
+}
+
+async function runFunctionCall(ws, clientState, functionCall) {
+    const { id, name, args = {} } = functionCall;
+    const tool = registeredTools.get(name);
+    const controller = new AbortController();
+    clientState.pendingToolCalls.set(id, controller);
+
+    protocol.send(ws, { from: 'backend', type: 'toolCall', data: { id, name, args } });
+    logger.info('Tools', `Running tool ${name} (call ${id}).`);
+
+    let response;
+    let timeout;
+    try {
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        const timedOut = new Promise((_, reject) => {
+            // Rejected before the abort so the timeout, not the handler's abort error, is reported.
+            timeout = setTimeout(() => {
+                reject(new Error(`Tool ${name} timed out after ${TOOL_TIMEOUT_MS} ms`));
+                controller.abort();
+            }, TOOL_TIMEOUT_MS);
+        });
+        const output = await Promise.race([tool.handler(args, { signal: controller.signal }), timedOut]);
+        response = { output };
+        logger.info('Tools', `Tool ${name} (call ${id}) finished.`);
+    } catch (toolError) {
+        logger.error('Tools', `Tool ${name} (call ${id}) failed.`, toolError);
+        metrics.recordError('tool');
+        response = { error: toolError.message || 'Unknown tool error' };
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    if (clientState.pendingToolCalls.get(id) !== controller) {
+        logger.info('Tools', `Tool call ${id} was cancelled. Discarding its result.`);
+        return null;
+    }
+    clientState.pendingToolCalls.delete(id);
+
+    protocol.send(ws, { from: 'backend', type: 'toolResult', data: { id, name, ...response } });
+    return { id, name, response };
+}
+
+async function handleToolCall(ws, currentSession, clientState, toolCall) {
+    const functionCalls = toolCall.functionCalls || [];
+    logger.info('Tools', `Received tool call with ${functionCalls.length} function call(s).`);
+
+    const results = await Promise.all(functionCalls.map(functionCall => runFunctionCall(ws, clientState, functionCall)));
+    const functionResponses = results.filter(Boolean);
+    if (functionResponses.length === 0) {
+        return;
+    }
+
+    try {
+        if (currentSession && currentSession.sendToolResponse) {
+            currentSession.sendToolResponse({ functionResponses });
+            logger.info('Tools', `Sent ${functionResponses.length} tool response(s) to Gemini.`);
+        } else {
+            logger.warn('Tools', 'Cannot send tool response: Gemini session not available or closed.');
+        }
+    } catch (sendError) {
+        logger.error('Tools', 'Error sending tool response to Gemini.', sendError);
+        metrics.recordError('gemini_send');
+        protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_ERROR, 'Backend error sending tool response to Gemini: ' + (sendError.message || 'Unknown error'));
+    }
+}
+
+function handleToolCallCancellation(ws, clientState, toolCallCancellation) {
+    const ids = toolCallCancellation.ids || [];
+    logger.info('Tools', `Gemini cancelled tool call(s): ${ids.join(', ') || 'none'}.`);
+
+    ids.forEach(id => {
+        const controller = clientState.pendingToolCalls.get(id);
+        if (controller) {
+            controller.abort();
+            clientState.pendingToolCalls.delete(id);
+        }
+        protocol.send(ws, { from: 'backend', type: 'toolCancelled', data: { id } });
+    });
+}
+
+function cancelPendingToolCalls(clientState) {
+    clientState.pendingToolCalls.forEach(controller => controller.abort());
+    clientState.pendingToolCalls.clear();
+}
+
+module.exports = {
+    registerTool,
+    getToolDeclarations,
+    handleToolCall,
+    handleToolCallCancellation,
+    cancelPendingToolCalls,
+};
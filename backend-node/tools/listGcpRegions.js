@@ -0,0 +1,44 @@
+const { Type } = require('@google/genai');
+
+const GCP_REGIONS = [
+    { id: 'us-central1', location: 'Iowa', continent: 'north-america' },
+    { id: 'us-east1', location: 'South Carolina', continent: 'north-america' },
+    { id: 'us-east4', location: 'Northern Virginia', continent: 'north-america' },
+    { id: 'us-west1', location: 'Oregon', continent: 'north-america' },
+    { id: 'northamerica-northeast1', location: 'Montréal', continent: 'north-america' },
+    { id: 'southamerica-east1', location: 'São Paulo', continent: 'south-america' },
+    { id: 'southamerica-west1', location: 'Santiago', continent: 'south-america' },
+    { id: 'europe-west1', location: 'Belgium', continent: 'europe' },
+    { id: 'europe-west2', location: 'London', continent: 'europe' },
+    { id: 'europe-west3', location: 'Frankfurt', continent: 'europe' },
+    { id: 'europe-west4', location: 'Netherlands', continent: 'europe' },
+    { id: 'asia-east1', location: 'Taiwan', continent: 'asia' },
+    { id: 'asia-northeast1', location: 'Tokyo', continent: 'asia' },
+    { id: 'asia-south1', location: 'Mumbai', continent: 'asia' },
+    { id: 'asia-southeast1', location: 'Singapore', continent: 'asia' },
+    { id: 'australia-southeast1', location: 'Sydney', continent: 'oceania' },
+    { id: 'me-west1', location: 'Tel Aviv', continent: 'middle-east' },
+    { id: 'africa-south1', location: 'Johannesburg', continent: 'africa' }
+];
+
+module.exports = {
+    name: 'list_gcp_regions',
+    description: 'Lists Google Cloud regions with their physical location, optionally filtered by continent.',
+    parameters: {
+        type: Type.OBJECT,
+        properties: {
+            continent: {
+                type: Type.STRING,
+                description: 'Continent to filter by.',
+                enum: ['north-america', 'south-america', 'europe', 'asia', 'oceania', 'middle-east', 'africa']
+            }
+        }
+    },
+    async handler({ continent } = {}) {
+        const regions = continent
+            ? GCP_REGIONS.filter(region => region.continent === continent)
+            : GCP_REGIONS;
+
+        return { regions };
+    }
+};
@@ -1,178 +1,237 @@
 const ffmpeg = require('fluent-ffmpeg');
-const { PassThrough } = require('stream');
+const { PassThrough, Transform } = require('stream');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
 const { createUserContent } = require('@google/genai');
 const { Buffer } = require('node:buffer');
+const tools = require('./tools');
+const audioFormats = require('./audioFormats');
+const audioOutput = require('./audioOutput');
+const documents = require('./documents');
+const sessionResumption = require('./sessionResumption');
+const limits = require('./limits');
+const protocol = require('./protocol');
+const conversationRecorder = require('./conversationRecorder');
+const metrics = require('./metrics');
+const logger = require('./logger');
 
+// Reported to the client as backend `status` events while a turn runs, in this order.
+const TURN_PHASES = ['transcoding', 'sentToModel', 'modelThinking', 'modelResponding', 'turnComplete'];
 
-function createWavHeader(pcmDataLength, sampleRate, bitsPerSample, numChannels) {
-    const bytesPerSample = bitsPerSample / 8;
-    const blockAlign = numChannels * bytesPerSample;
-    const byteRate = sampleRate * blockAlign;
-    const riffChunkSize = pcmDataLength + 36;
-    const header = Buffer.alloc(44);
-
-    header.write('RIFF', 0);
-    header.writeUInt32LE(riffChunkSize, 4);
-    header.write('WAVE', 8);
-    header.write('fmt ', 12);
-    header.writeUInt32LE(16, 16);
-    header.writeUInt16LE(1, 20);
-    header.writeUInt16LE(numChannels, 22);
-    header.writeUInt32LE(sampleRate, 24);
-    header.writeUInt32LE(byteRate, 28);
-    header.writeUInt16LE(blockAlign, 32);
-    header.writeUInt16LE(bitsPerSample, 34);
-    header.write('data', 36);
-    header.writeUInt32LE(pcmDataLength, 40);
-
-    return header;
-}
-
-function truncateAudioData(obj, maxLength = 100) {
-    if (obj === null || typeof obj !== 'object') {
-        return obj;
-    }
-
-    const clonedObj = JSON.parse(JSON.stringify(obj));
-
-    function traverse(current) {
-        if (current === null || typeof current !== 'object') {
-            return;
-        }
-        for (const key in current) {
-            if (typeof current[key] === 'string') {
-                if ((key === 'data' || key === 'audio' || key === 'audioData') && current[key].length > maxLength) {
-                    if (/^[a-zA-Z0-9+/=]/.test(current[key].substring(0, 50))) {
-                        current[key] = current[key].substring(0, maxLength) + '...[TRUNCATED]';
-                    }
-                }
-            } else if (typeof current[key] === 'object') {
-                traverse(current[key]);
-            }
-        }
-    }
-
-    traverse(clonedObj);
-    return clonedObj;
-}
 
 function stopAudioProcessing(clientState) {
     if (clientState.ffmpegProcess) {
-        console.info('[BE:FFmpeg] Attempting to kill FFmpeg process.');
+        logger.info('FFmpeg', 'Attempting to kill FFmpeg process.');
         try {
-            process.kill(clientState.ffmpegProcess.pid, 'SIGKILL');
+            clientState.ffmpegProcess.kill('SIGKILL');
         } catch (e) {
-            console.debug('[BE:FFmpeg] FFmpeg process already finished or not found:', e.message);
+            logger.debug('FFmpeg', 'FFmpeg process already finished or not found.', e);
         }
         clientState.ffmpegProcess = null;
     }
-    if (clientState.ffmpegInputStream) clientState.ffmpegInputStream.destroy();
+    if (clientState.audioInputStream) clientState.audioInputStream.destroy();
     if (clientState.pcmOutputStream) clientState.pcmOutputStream.destroy();
-    clientState.ffmpegInputStream = null;
+    clientState.audioInputStream = null;
     clientState.pcmOutputStream = null;
     clientState.isSendingAudioToGemini = false;
+    clientState.isStreamingAudio = false;
+    conversationRecorder.finishUserAudioTurn(clientState);
+    clientState.userAudioFormat = null;
 }
 
 
-function cleanupClient(ws, geminiSessionMap, clientStateMap) {
-    console.info('[BE:Cleanup] Cleaning up client resources.');
+function cleanupClient(ws, geminiSessionMap, clientStateMap, keepResumable = true) {
+    logger.info('Cleanup', 'Cleaning up client resources.');
     const clientState = clientStateMap.get(ws);
     if (clientState) {
-        console.debug('[BE:Cleanup] Client state found.');
+        logger.debug('Cleanup', 'Client state found.');
         stopAudioProcessing(clientState);
+        tools.cancelPendingToolCalls(clientState);
+        if (clientState.isModelResponding) {
+            conversationRecorder.finishModelTurn(clientState, { interrupted: true });
+        }
+        clearModelAudio(clientState);
+        if (keepResumable) {
+            sessionResumption.keepForResumption(clientState);
+        }
     }
 
     const session = geminiSessionMap.get(ws);
     if (session) {
-        console.debug('[BE:Cleanup] Closing Gemini session.');
+        logger.debug('Cleanup', 'Closing Gemini session.');
         session.close();
         geminiSessionMap.delete(ws);
     }
 
     clientStateMap.delete(ws);
-    console.info('[BE:Cleanup] Client resources cleaned.');
+    logger.info('Cleanup', 'Client resources cleaned.');
 }
 
-function processGeminiTextPart(ws, part) {
-    ws.send(JSON.stringify({ from: 'gemini', type: 'text', data: part.text }));
-    console.debug('[BE:WS] Sent text part to frontend.');
+function processGeminiTextPart(ws, clientState, part) {
+    conversationRecorder.appendModelText(clientState, part.text);
+    protocol.send(ws, { from: 'gemini', type: 'text', data: part.text });
+    logger.debug('WS', 'Sent text part to frontend.');
 }
 
-function processGeminiAudioPart(clientState, part) {
-    console.debug('[BE:Gemini] Received audio chunk (Base64 PCM).');
+function processGeminiAudioPart(ws, clientState, part) {
+    logger.debug('Gemini', 'Received audio chunk (Base64 PCM).');
     const audioChunkBase64 = part.inlineData.data;
     if (audioChunkBase64) {
         try {
-            clientState.audioBuffer = Buffer.concat([clientState.audioBuffer, Buffer.from(audioChunkBase64, 'base64')]);
-            clientState.mimeType = part.inlineData.mimeType;
-            console.debug(`[BE:Gemini] Buffered audio chunk. Total buffered: ${clientState.audioBuffer.length} bytes.`);
+            const audioChunk = Buffer.from(audioChunkBase64, 'base64');
+            if (!clientState.audioOutput) {
+                const format = audioFormats.OutputAudioFormats[clientState.sessionParams.outputAudioFormat];
+                clientState.audioOutput = audioOutput.createAudioOutput(format, part.inlineData.mimeType, (audio, mimeType) => {
+                    protocol.sendAudio(ws, clientState.protocolVersion, { from: 'gemini', type: 'audioChunk', mimeType, audio });
+                    logger.debug('WS', 'Streamed audio chunk to frontend.');
+                });
+            }
+            clientState.audioOutput.write(audioChunk, part.inlineData.mimeType);
         } catch (bufferError) {
-            console.error('[BE:Gemini] Error processing Gemini audio chunk:', bufferError);
+            logger.error('Gemini', 'Error processing Gemini audio chunk.', bufferError);
         }
     } else {
-        console.warn('[BE:Gemini] Received audio part with no data.');
+        logger.warn('Gemini', 'Received audio part with no data.');
     }
 }
 
-function handleGeminiTurnComplete(ws, clientState) {
-    console.info('[BE:Gemini] Gemini turn complete received.');
-    clientState.firstGeminiResponseReceived = false;
-    if (clientState.audioBuffer && clientState.audioBuffer.length > 0) {
-        const sampleRate = 24000;
-        const bitsPerSample = 16;
-        const numChannels = 1;
-        try {
-            console.info('[BE:Audio] Creating WAV header and sending buffered audio.');
-            const wavHeader = createWavHeader(clientState.audioBuffer.length, sampleRate, bitsPerSample, numChannels);
-            const finalAudioBuffer = Buffer.concat([wavHeader, clientState.audioBuffer]);
-            const finalAudioBase64 = finalAudioBuffer.toString('base64');
+function processGeminiTranscription(ws, clientState, type, transcription) {
+    if (!transcription.text) return;
+    if (type === 'inputTranscription') {
+        conversationRecorder.appendUserTranscript(clientState, transcription.text);
+    } else {
+        conversationRecorder.appendModelTranscript(clientState, transcription.text);
+    }
+    protocol.send(ws, { from: 'gemini', type, data: { text: transcription.text, finished: !!transcription.finished } });
+    logger.debug('WS', `Sent ${type} to frontend.`);
+}
 
-            ws.send(JSON.stringify({ from: 'gemini', type: 'audio', data: { audio: finalAudioBase64, mimeType: 'audio/wav' } }));
-            console.info('[BE:WS] Sent complete WAV audio (Base64 in JSON) to frontend.');
+// Phases only move forward: in live mode Gemini can start answering before the audio
+// stream ends, and a later sentToModel would make the turn look like it went back.
+function sendTurnStatus(ws, clientState, phase) {
+    const turnStatus = clientState.turnStatus;
+    const phaseIndex = TURN_PHASES.indexOf(phase);
+    if (!turnStatus || phaseIndex <= turnStatus.phaseIndex) return;
+    turnStatus.phaseIndex = phaseIndex;
+    if (phase === 'turnComplete') {
+        clientState.turnStatus = null;
+    }
+    const at = Date.now();
+    protocol.send(ws, { from: 'backend', type: 'status', data: { phase, at, elapsedMs: at - turnStatus.startedAt } });
+}
 
-            clientState.audioBuffer = Buffer.alloc(0);
-            clientState.mimeType = '';
+function hasSentTurnToModel(clientState) {
+    return !!clientState.turnStatus && clientState.turnStatus.phaseIndex >= TURN_PHASES.indexOf('sentToModel');
+}
 
-        } catch (wavError) {
-            console.error('[BE:Audio] Error creating WAV or sending audio:', wavError);
-            ws.send(JSON.stringify({ from: 'backend', type: 'error', data: 'Backend error processing Gemini audio: ' + (wavError.message || 'Unknown audio error') }));
-        }
+function clearModelAudio(clientState) {
+    if (clientState.audioOutput) clientState.audioOutput.abort();
+    clientState.audioOutput = null;
+}
 
-    } else {
-        console.info('[BE:Audio] Gemini turn complete, but no audio buffered.');
+function interruptModelTurn(ws, clientState, from) {
+    logger.info('Gemini', `Interrupting model turn (requested by ${from}).`);
+    // Not responding any more, so a second `interrupted` for the same answer (Gemini's,
+    // after the backend's) does not discard the next turn.
+    if (clientState.isModelResponding) {
+        clientState.isModelResponding = false;
+        clientState.discardModelTurn = true;
+        conversationRecorder.finishModelTurn(clientState, { interrupted: true });
     }
+    clearModelAudio(clientState);
 
-    ws.send(JSON.stringify({ from: 'gemini', type: 'turnComplete' }));
-    console.debug('[BE:WS] Sent turnComplete signal to frontend.');
+    protocol.send(ws, { from, type: 'interrupted' });
+    logger.debug('WS', 'Sent interrupted signal to frontend.');
+}
+
+function handleGeminiTurnComplete(ws, clientState) {
+    logger.info('Gemini', 'Gemini turn complete received.');
+    clientState.firstGeminiResponseReceived = false;
+    clientState.isModelResponding = false;
+    clientState.isTurnActive = false;
+    clientState.discardModelTurn = false;
+    // One live stream spans several Gemini turns, so the audio limit restarts with each of them.
+    if (clientState.isStreamingAudio) {
+        clientState.turnAudioBytes = 0;
+    }
+    metrics.recordTurnComplete(clientState);
+
+    const output = clientState.audioOutput;
+    clientState.audioOutput = null;
+    const recordedTurn = conversationRecorder.finishModelTurn(clientState, { hasAudio: !!output });
+    if (!output) {
+        logger.info('Audio', 'Gemini turn complete, but no audio buffered.');
+    }
+
+    // turnComplete waits for the encoder so the complete clip always arrives first.
+    (output ? output.finish() : Promise.resolve(null))
+        .then(audio => {
+            if (!audio) return;
+            protocol.sendAudio(ws, clientState.protocolVersion, { from: 'gemini', type: 'audio', mimeType: output.format.mimeType, audio });
+            logger.info('WS', `Sent complete ${output.format.name} audio to frontend.`, { bytes: audio.length });
+            conversationRecorder.attachModelAudio(clientState, recordedTurn, audio, output.format);
+        })
+        .catch(outputError => {
+            logger.error('Audio', 'Error encoding or sending the turn audio.', outputError);
+            metrics.recordError('audio_output');
+            protocol.sendError(ws, protocol.ErrorCodes.AUDIO_OUTPUT_FAILED, 'Backend error processing Gemini audio: ' + (outputError.message || 'Unknown audio error'));
+        })
+        .finally(() => {
+            sendTurnStatus(ws, clientState, 'turnComplete');
+            protocol.send(ws, { from: 'gemini', type: 'turnComplete' });
+            logger.debug('WS', 'Sent turnComplete signal to frontend.');
+        });
 }
 
 function handleGeminiOpen() {
-    console.info('[BE:Gemini] Live session opened');
+    logger.info('Gemini', 'Live session opened');
 }
 
-function handleGeminiMessage(ws, liveServerMessage, clientStateMap) {
-    console.debug('[BE:Gemini] --- Received message from Gemini ---');
-    console.debug('[BE:Gemini]', JSON.stringify(truncateAudioData(liveServerMessage), null, 2));
+function handleGeminiMessage(ws, liveServerMessage, geminiSessionMap, clientStateMap) {
+    logger.debug('Gemini', 'Gemini message received.', { liveServerMessage });
 
     const clientState = clientStateMap.get(ws);
     if (!clientState) {
-        console.error('[BE:Gemini] Client state not found for WebSocket.');
+        logger.error('Gemini', 'Client state not found for WebSocket.');
         return;
     }
 
     if (!clientState.firstGeminiResponseReceived) {
-        console.info('[BE:Gemini] First response received from Gemini.');
+        logger.info('Gemini', 'First response received from Gemini.');
         clientState.firstGeminiResponseReceived = true;
+        metrics.recordFirstResponse(clientState);
+    }
+
+    // Anything Gemini sends after getting the whole input, short of the answer itself
+    // (the input transcription, a tool call), means it is working on the turn.
+    const serverContent = liveServerMessage.serverContent;
+    if (!(serverContent && serverContent.modelTurn) && hasSentTurnToModel(clientState)) {
+        sendTurnStatus(ws, clientState, 'modelThinking');
     }
 
     if (liveServerMessage.serverContent) {
-        if (liveServerMessage.serverContent.modelTurn && liveServerMessage.serverContent.modelTurn.parts) {
+        if (liveServerMessage.serverContent.interrupted) {
+            interruptModelTurn(ws, clientState, 'gemini');
+        }
+        if (liveServerMessage.serverContent.inputTranscription) {
+            processGeminiTranscription(ws, clientState, 'inputTranscription', liveServerMessage.serverContent.inputTranscription);
+        }
+        if (liveServerMessage.serverContent.outputTranscription && !clientState.discardModelTurn) {
+            processGeminiTranscription(ws, clientState, 'outputTranscription', liveServerMessage.serverContent.outputTranscription);
+        }
+        if (clientState.discardModelTurn) {
+            logger.debug('Gemini', 'Discarding model content from interrupted turn.');
+        } else if (liveServerMessage.serverContent.modelTurn && liveServerMessage.serverContent.modelTurn.parts) {
+            clientState.isModelResponding = true;
+            sendTurnStatus(ws, clientState, 'modelResponding');
             liveServerMessage.serverContent.modelTurn.parts.forEach(part => {
                 if (part.text) {
-                    processGeminiTextPart(ws, part);
+                    processGeminiTextPart(ws, clientState, part);
                 }
                 if (part.inlineData && part.inlineData.mimeType && part.inlineData.mimeType.startsWith('audio/')) {
-                    processGeminiAudioPart(clientState, part);
+                    processGeminiAudioPart(ws, clientState, part);
                 }
             });
         }
@@ -180,57 +239,130 @@ function handleGeminiMessage(ws, liveServerMessage, clientStateMap) {
             handleGeminiTurnComplete(ws, clientState);
         }
     }
+
+    if (liveServerMessage.sessionResumptionUpdate) {
+        sessionResumption.handleSessionResumptionUpdate(clientState, liveServerMessage.sessionResumptionUpdate);
+    }
+    if (liveServerMessage.goAway) {
+        logger.warn('Gemini', `Received goAway. Time left: ${liveServerMessage.goAway.timeLeft || 'unknown'}.`);
+        protocol.send(ws, { from: 'gemini', type: 'goAway', data: { timeLeft: liveServerMessage.goAway.timeLeft } });
+    }
+
+    if (liveServerMessage.toolCall) {
+        tools.handleToolCall(ws, geminiSessionMap.get(ws), clientState, liveServerMessage.toolCall).catch(toolError => {
+            logger.error('Tools', 'Error handling tool call.', toolError);
+            metrics.recordError('tool');
+            protocol.sendError(ws, protocol.ErrorCodes.INTERNAL_ERROR, 'Backend error handling tool call: ' + (toolError.message || 'Unknown error'));
+        });
+    }
+    if (liveServerMessage.toolCallCancellation) {
+        tools.handleToolCallCancellation(ws, clientState, liveServerMessage.toolCallCancellation);
+    }
 }
 
 function handleGeminiError(ws, error) {
-    console.error(`[BE:Gemini] Live session error: ${error.message || 'Unknown error'}`);
-    if (error.stack) console.error('[BE:Gemini] Stack:', error.stack);
+    logger.error('Gemini', 'Live session error.', error);
+    metrics.recordError('gemini_session');
+    protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_UNAVAILABLE, 'Gemini session failed: ' + (error.message || 'Unknown Gemini error'));
     ws.close(1011, 'Gemini API Error');
 }
 
-function handleGeminiClose(closeEvent) {
-    console.info(`[BE:Gemini] Live session closed. Code: ${closeEvent.code}, Reason: ${closeEvent.reason || 'N/A'}, WasClean: ${closeEvent.wasClean}`);
+function handleGeminiClose(ws, closeEvent, clientStateMap) {
+    logger.info('Gemini', `Live session closed. Code: ${closeEvent.code}, Reason: ${closeEvent.reason || 'N/A'}, WasClean: ${closeEvent.wasClean}`);
+
+    // The client state is already gone when the backend closed the session itself.
+    const clientState = clientStateMap.get(ws);
+    if (!clientState) return;
+
+    if (closeEvent.code !== 1000) {
+        // For example a stale resumption handle was rejected; never offer it again.
+        clientState.resumptionHandle = null;
+    }
+    if (ws.readyState === 1) {
+        protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_UNAVAILABLE, 'Gemini session closed: ' + (closeEvent.reason || `code ${closeEvent.code}`));
+        ws.close(1011, 'Gemini session closed');
+    }
 }
 
 
 function sendAudioChunkToGemini(ws, currentSession, clientState, pcmChunk) {
-    console.debug('[BE:FFmpeg] PCM chunk ready:', pcmChunk.length, 'bytes.');
+    logger.debug('FFmpeg', 'PCM chunk ready.', { bytes: pcmChunk.length });
+    clientState.turnAudioBytes += pcmChunk.length;
+    if (limits.isAudioTurnTooLong(clientState.turnAudioBytes, clientState.inputPcmRate)) {
+        truncateAudioTurn(ws, clientState);
+        return;
+    }
     if (currentSession && currentSession.sendRealtimeInput && ws.readyState === 1) {
         try {
             if (!clientState.isSendingAudioToGemini) {
-                console.info('[BE:Gemini] Starting to send audio input stream to Gemini.');
+                logger.info('Gemini', 'Starting to send audio input stream to Gemini.');
                 clientState.isSendingAudioToGemini = true;
             }
             const pcmBase64 = pcmChunk.toString('base64');
-            currentSession.sendRealtimeInput({ audio: { data: pcmBase64, mimeType: 'audio/pcm;rate=24000' } });
-            console.debug('[BE:Gemini] Sent PCM chunk to Gemini.');
+            currentSession.sendRealtimeInput({ audio: { data: pcmBase64, mimeType: `audio/pcm;rate=${clientState.inputPcmRate}` } });
+            logger.debug('Gemini', 'Sent PCM chunk to Gemini.');
         } catch (geminiError) {
-            console.error('[BE:Gemini] Error sending PCM chunk to Gemini:', geminiError.message);
+            logger.error('Gemini', 'Error sending PCM chunk to Gemini.', geminiError);
+            metrics.recordError('gemini_send');
             stopAudioProcessing(clientState);
-            ws.send(JSON.stringify({ from: 'backend', type: 'error', data: 'Backend error sending audio chunk to Gemini: ' + (geminiError.message || 'Unknown Gemini send error') }));
+            protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_ERROR, 'Backend error sending audio chunk to Gemini: ' + (geminiError.message || 'Unknown Gemini send error'));
         }
     } else {
-        console.warn('[BE:Gemini] Cannot send PCM chunk: WebSocket not open or Gemini session not available.');
+        logger.warn('Gemini', 'Cannot send PCM chunk: WebSocket not open or Gemini session not available.');
         stopAudioProcessing(clientState);
     }
 }
 
+// Drops the rest of the turn's audio; the input still finishes so the turn ends normally.
+function truncateAudioTurn(ws, clientState) {
+    if (clientState.audioLimitReached) return;
+    clientState.audioLimitReached = true;
+    logger.warn('Limits', `Audio turn exceeded ${limits.MAX_AUDIO_SECONDS_PER_TURN} s. Truncating.`);
+    limits.sendLimitError(ws, protocol.ErrorCodes.AUDIO_TOO_LONG, `Audio exceeds ${limits.MAX_AUDIO_SECONDS_PER_TURN} seconds per turn and was truncated.`);
+    if (clientState.isStreamingAudio && clientState.audioInputStream) {
+        clientState.isStreamingAudio = false;
+        clientState.audioInputStream.end();
+        conversationRecorder.finishUserAudioTurn(clientState);
+    }
+}
+
 function signalAudioEndToGemini(ws, currentSession, clientState) {
-    console.info('[BE:Gemini] Finished sending audio input stream to Gemini.');
+    logger.info('Gemini', 'Finished sending audio input stream to Gemini.');
     clientState.isSendingAudioToGemini = false;
 
     try {
         if (currentSession && currentSession.sendClientContent) {
             currentSession.sendClientContent({ turns: [createUserContent('')], turnComplete: true });
-            console.info('[BE:Gemini] Sent client turnComplete: true signal for audio input.');
+            logger.info('Gemini', 'Sent client turnComplete: true signal for audio input.');
+            sendTurnStatus(ws, clientState, 'sentToModel');
         } else {
-            console.warn('[BE:Gemini] Cannot send turnComplete: Gemini session not available or closed.');
+            logger.warn('Gemini', 'Cannot send turnComplete: Gemini session not available or closed.');
         }
     } catch (signalError) {
-        console.error('[BE:Gemini] Error sending turnComplete signal after audio:', signalError.message);
-        ws.send(JSON.stringify({ from: 'backend', type: 'error', data: 'Backend error signaling end of audio turn: ' + (signalError.message || 'Unknown signal error') }));
+        logger.error('Gemini', 'Error sending turnComplete signal after audio.', signalError);
+        metrics.recordError('gemini_send');
+        protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_ERROR, 'Backend error signaling end of audio turn: ' + (signalError.message || 'Unknown signal error'));
+    }
+    logger.info('Gemini', 'Waiting for Gemini response...');
+}
+
+function signalAudioStreamEndToGemini(ws, currentSession, clientState) {
+    logger.info('Gemini', 'Live audio stream ended.');
+    clientState.isSendingAudioToGemini = false;
+
+    try {
+        if (currentSession && currentSession.sendRealtimeInput) {
+            currentSession.sendRealtimeInput({ audioStreamEnd: true });
+            logger.info('Gemini', 'Sent audioStreamEnd signal to Gemini.');
+            sendTurnStatus(ws, clientState, 'sentToModel');
+        } else {
+            logger.warn('Gemini', 'Cannot send audioStreamEnd: Gemini session not available or closed.');
+        }
+    } catch (signalError) {
+        logger.error('Gemini', 'Error sending audioStreamEnd signal.', signalError);
+        metrics.recordError('gemini_send');
+        protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_ERROR, 'Backend error signaling end of audio stream: ' + (signalError.message || 'Unknown signal error'));
     }
-    console.info('[BE:Gemini] Waiting for Gemini response...');
 }
 
 
@@ -240,129 +372,432 @@ function setupPcmStreamHandlers(ws, currentSession, clientState, pcmStream) {
     });
 
     pcmStream.on('error', (err) => {
-        console.error('[BE:FFmpeg] PCM output stream error:', err.message);
+        logger.error('FFmpeg', 'PCM output stream error.', err);
+        metrics.recordError('ffmpeg');
         stopAudioProcessing(clientState);
-        ws.send(JSON.stringify({ from: 'backend', type: 'error', data: 'Audio output stream error: ' + (err.message || 'Unknown stream error') }));
+        protocol.sendError(ws, protocol.ErrorCodes.AUDIO_DECODE_FAILED, 'Audio output stream error: ' + (err.message || 'Unknown stream error'));
     });
 
     pcmStream.on('end', () => {
-        console.debug('[BE:FFmpeg] PCM output stream ended.');
+        logger.debug('FFmpeg', 'PCM output stream ended.');
     });
 }
 
-function configureFFmpegProcess(ws, currentSession, clientState, inputStream, pcmStream) {
-    return ffmpeg(inputStream)
-        .inputFormat('webm')
+function configureFFmpegProcess(ws, clientState, input, format, pcmStream, onEnd) {
+    const command = ffmpeg(input)
+        .inputFormat(format.ffmpegFormat)
         .toFormat('s16le')
         .audioChannels(1)
         .audioFrequency(24000)
         .on('start', function (commandLine) {
-            console.info('[BE:FFmpeg] Spawned FFmpeg with command:', commandLine);
+            logger.info('FFmpeg', 'Spawned FFmpeg.', { commandLine });
+            sendTurnStatus(ws, clientState, 'transcoding');
         })
         .on('error', function (err, stdout, stderr) {
-            console.error('[BE:FFmpeg] Process error:', err.message);
-            console.error('[BE:FFmpeg] FFmpeg stdout:', stdout);
-            console.error('[BE:FFmpeg] FFmpeg stderr:', stderr);
+            if (clientState.ffmpegProcess !== command) {
+                logger.debug('FFmpeg', 'Stopped process exited.', { reason: err.message });
+                return;
+            }
+            logger.error('FFmpeg', 'Process error.', { error: logger.redact(err), stdout, stderr });
+            metrics.recordError('ffmpeg');
             stopAudioProcessing(clientState);
-            ws.send(JSON.stringify({ from: 'backend', type: 'error', data: 'Audio conversion failed: ' + (err.message || 'Unknown FFmpeg error') }));
+            clientState.isTurnActive = false;
+            protocol.sendError(ws, protocol.ErrorCodes.AUDIO_DECODE_FAILED, 'Audio conversion failed: ' + (err.message || 'Unknown FFmpeg error'));
         })
         .on('end', function () {
-            console.info('[BE:FFmpeg] Process finished for current input.');
-            signalAudioEndToGemini(ws, currentSession, clientState);
-        })
-        .pipe(pcmStream);
+            logger.info('FFmpeg', 'Process finished for current input.');
+            if (clientState.ffmpegProcess === command) {
+                clientState.ffmpegProcess = null;
+            }
+            onEnd();
+        });
+
+    command.pipe(pcmStream);
+    return command;
+}
+
+// Raw PCM skips FFmpeg. This keeps chunks aligned to whole 16-bit samples.
+function createSampleAligner() {
+    let remainder = null;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const data = remainder ? Buffer.concat([remainder, chunk]) : chunk;
+            const usableLength = data.length - (data.length % 2);
+            remainder = usableLength < data.length ? data.subarray(usableLength) : null;
+            callback(null, usableLength > 0 ? data.subarray(0, usableLength) : undefined);
+        }
+    });
+}
+
+// The demuxer can't seek in a pipe, so complete files that need it are read from disk.
+// FFmpeg starts once the file is written, unless the turn was stopped in the meantime.
+async function decodeFromTempFile(ws, clientState, audio, format, pcmStream, onEnd) {
+    const filePath = path.join(os.tmpdir(), `gemini-input-${crypto.randomUUID()}.${format.extension}`);
+    const removeTempFile = () => fs.unlink(filePath, () => {});
+    try {
+        await fs.promises.writeFile(filePath, audio);
+    } catch (err) {
+        removeTempFile();
+        if (clientState.pcmOutputStream !== pcmStream) return;
+        logger.error('FFmpeg', 'Could not write the audio to a temporary file.', err);
+        metrics.recordError('ffmpeg');
+        stopAudioProcessing(clientState);
+        clientState.isTurnActive = false;
+        protocol.sendError(ws, protocol.ErrorCodes.AUDIO_DECODE_FAILED, 'Audio conversion failed: ' + (err.message || 'Unknown file error'));
+        return;
+    }
+    if (clientState.pcmOutputStream !== pcmStream) {
+        logger.debug('FFmpeg', 'Audio input was stopped before decoding started.');
+        removeTempFile();
+        return;
+    }
+    clientState.ffmpegProcess = configureFFmpegProcess(ws, clientState, filePath, format, pcmStream, onEnd);
+    clientState.ffmpegProcess.on('end', removeTempFile).on('error', removeTempFile);
 }
 
-function handleWebSocketMessage(ws, message, geminiSessionMap, clientStateMap) {
+// Starts converting the user's audio to PCM for Gemini, picking the decoder from the
+// declared MIME type and the first bytes. Returns false after reporting an unsupported format.
+function startAudioInput(ws, currentSession, clientState, { mimeType, firstBytes, completeAudio = null }, onEnd) {
+    let resolved;
+    try {
+        resolved = audioFormats.resolveInputFormat(mimeType, firstBytes);
+    } catch (error) {
+        if (!(error instanceof audioFormats.AudioFormatError)) throw error;
+        logger.warn('Audio', `Rejected audio input: ${error.message}`);
+        metrics.recordError('audio_format');
+        protocol.sendError(ws, protocol.ErrorCodes.AUDIO_FORMAT_UNSUPPORTED, error.message);
+        return false;
+    }
+
+    const { format, sampleRate } = resolved;
+    logger.info('Audio', `Decoding ${format.name} audio input.`, { declaredMimeType: mimeType, sampleRate });
+    clientState.inputPcmRate = sampleRate;
+    clientState.userAudioFormat = format;
+
+    if (format === audioFormats.AudioFormats.pcm) {
+        const aligner = createSampleAligner();
+        clientState.audioInputStream = aligner;
+        clientState.pcmOutputStream = aligner;
+        setupPcmStreamHandlers(ws, currentSession, clientState, aligner);
+        aligner.on('end', onEnd);
+        if (completeAudio) aligner.end(completeAudio);
+        return true;
+    }
+
+    const inputStream = new PassThrough();
+    const pcmStream = new PassThrough();
+    clientState.audioInputStream = inputStream;
+    clientState.pcmOutputStream = pcmStream;
+
+    if (completeAudio && format.needsSeekableInput) {
+        setupPcmStreamHandlers(ws, currentSession, clientState, pcmStream);
+        decodeFromTempFile(ws, clientState, completeAudio, format, pcmStream, onEnd);
+        return true;
+    }
+
+    clientState.ffmpegProcess = configureFFmpegProcess(ws, clientState, inputStream, format, pcmStream, onEnd);
+    setupPcmStreamHandlers(ws, currentSession, clientState, pcmStream);
+    if (completeAudio) {
+        inputStream.end(completeAudio);
+    }
+    return true;
+}
+
+function handleWebSocketMessage(ws, message, isBinary, geminiSessionMap, clientStateMap) {
     try {
         const currentSession = geminiSessionMap.get(ws);
         const clientState = clientStateMap.get(ws);
 
 
         if (!currentSession) {
-            console.error('[BE:WS] No Gemini session found for this WebSocket.');
+            logger.error('WS', 'No Gemini session found for this WebSocket.');
             ws.close(1011, 'No active Gemini session');
             return;
         }
         if (!clientState) {
-            console.error('[BE:WS] No client state found for this WebSocket.');
+            logger.error('WS', 'No client state found for this WebSocket.');
             ws.close(1011, 'No active client state');
             return;
         }
 
-        const frontendMessage = JSON.parse(message);
-        console.debug('[BE:WS] Received JSON message:', JSON.stringify(truncateAudioData(frontendMessage)));
+        if (message.length > limits.MAX_FRAME_BYTES) {
+            logger.warn('Limits', `Dropping ${message.length}-byte frame (max ${limits.MAX_FRAME_BYTES}).`);
+            limits.sendLimitError(ws, protocol.ErrorCodes.FRAME_TOO_LARGE, `Message too large: ${message.length} bytes (max ${limits.MAX_FRAME_BYTES}).`,
+                { inReplyTo: protocol.peekFrameId(message, isBinary) });
+            return;
+        }
+        if (!limits.consumeMessage(clientState.rateState)) {
+            if (!clientState.rateState.notified) {
+                clientState.rateState.notified = true;
+                logger.warn('Limits', 'Client exceeded the message rate limit.');
+                limits.sendLimitError(ws, protocol.ErrorCodes.RATE_LIMITED, `Too many messages (max ${limits.MAX_MESSAGES_PER_MINUTE} per minute). Messages are being dropped.`);
+            }
+            return;
+        }
+
+        const { frame: frontendMessage, payload } = protocol.parseInbound(message, isBinary);
+        logger.debug('WS', `Received ${isBinary ? 'binary' : 'JSON'} message.`, { frontendMessage });
 
         if (frontendMessage.type === 'text') {
             handleTextMessage(ws, frontendMessage, geminiSessionMap, clientStateMap);
-        } else if (frontendMessage.type === 'audio' && frontendMessage.audioData) {
-            handleAudioMessage(ws, frontendMessage, geminiSessionMap, clientStateMap);
+        } else if (frontendMessage.type === 'audio') {
+            handleAudioMessage(ws, frontendMessage, payload, geminiSessionMap, clientStateMap);
+        } else if (frontendMessage.type === 'audioStreamStart') {
+            handleAudioStreamStart(ws, frontendMessage, geminiSessionMap, clientStateMap);
+        } else if (frontendMessage.type === 'audioStreamChunk') {
+            handleAudioStreamChunk(ws, payload, geminiSessionMap, clientStateMap);
+        } else if (frontendMessage.type === 'audioStreamEnd') {
+            handleAudioStreamEnd(ws, clientStateMap);
+        } else if (frontendMessage.type === 'image') {
+            handleImageMessage(ws, frontendMessage, payload, geminiSessionMap);
+        } else if (frontendMessage.type === 'document') {
+            handleDocumentMessage(ws, frontendMessage, payload, geminiSessionMap, clientStateMap);
+        } else if (frontendMessage.type === 'cancel') {
+            handleCancelMessage(ws, clientStateMap);
         } else {
-            console.warn('[BE:WS] Received message with unknown type or missing data:', frontendMessage);
+            throw new protocol.ProtocolError(protocol.ErrorCodes.INVALID_MESSAGE, `A ${frontendMessage.type} message is only accepted as the first message of a connection.`, frontendMessage.id);
         }
     } catch (error) {
-        console.error(`[BE:WS] Error processing frontend message: ${error.message}`);
-        ws.send(JSON.stringify({ from: 'backend', type: 'error', data: 'Backend error processing message: ' + (error.message || 'Unknown error') }));
+        if (error instanceof protocol.ProtocolError) {
+            logger.warn('WS', `Rejected frontend message (${error.code}): ${error.message}`);
+            metrics.recordError('protocol');
+            protocol.sendError(ws, error.code, error.message, { inReplyTo: error.inReplyTo });
+            return;
+        }
+        logger.error('WS', 'Error processing frontend message.', error);
+        metrics.recordError('websocket');
+        protocol.sendError(ws, protocol.ErrorCodes.INTERNAL_ERROR, 'Backend error processing message: ' + (error.message || 'Unknown error'));
     }
 }
 
+// Tells the client which turn its message opened; later events carry the same turnId.
+function beginUserTurn(ws, clientState, modality, frontendMessage) {
+    clientState.firstGeminiResponseReceived = false;
+    // An interrupted answer may never get its turnComplete; the new turn's answer must not be dropped.
+    clientState.discardModelTurn = false;
+    clientState.isTurnActive = true;
+    clientState.turnStatus = { startedAt: Date.now(), phaseIndex: -1 };
+    logger.startTurn(clientState.logContext);
+    metrics.startTurn(clientState, modality);
+    logger.info('WS', `Started ${modality} turn.`);
+    protocol.send(ws, { from: 'backend', type: 'turnStarted', inReplyTo: frontendMessage.id, data: { modality } });
+}
+
+// A turn is active from the user's input until Gemini completes its answer.
+function hasActiveTurn(clientState) {
+    return clientState.isTurnActive || clientState.isModelResponding || !!clientState.ffmpegProcess || clientState.pendingToolCalls.size > 0;
+}
+
 function handleTextMessage(ws, frontendMessage, geminiSessionMap, clientStateMap) {
-    console.info('[BE:WS] Received text message.');
+    logger.info('WS', 'Received text message.');
     const currentSession = geminiSessionMap.get(ws);
     const clientState = clientStateMap.get(ws);
 
     stopAudioProcessing(clientState);
+    if (clientState.isModelResponding) {
+        interruptModelTurn(ws, clientState, 'backend');
+    }
 
+    beginUserTurn(ws, clientState, 'text', frontendMessage);
+    conversationRecorder.recordUserText(clientState, frontendMessage.message);
     const content = createUserContent(frontendMessage.message);
     currentSession.sendClientContent({ turns: [content], turnComplete: true });
-    console.info('[BE:Gemini] Sent text message to Gemini with turnComplete: true.');
+    logger.info('Gemini', 'Sent text message to Gemini with turnComplete: true.');
+    sendTurnStatus(ws, clientState, 'sentToModel');
 }
 
 
-function handleAudioMessage(ws, frontendMessage, geminiSessionMap, clientStateMap) {
-    console.info('[BE:WS] Received audio message (Base64).');
+function handleAudioMessage(ws, frontendMessage, audioBlob, geminiSessionMap, clientStateMap) {
+    logger.info('WS', `Received audio message (${audioBlob.length} bytes).`);
 
     const currentSession = geminiSessionMap.get(ws);
     const clientState = clientStateMap.get(ws);
 
-    const audioBlob = Buffer.from(frontendMessage.audioData, 'base64');
-    console.debug(`[BE:WS] Audio Base64 decoded to ${audioBlob.length} bytes.`);
+    stopAudioProcessing(clientState);
+    if (clientState.isModelResponding) {
+        interruptModelTurn(ws, clientState, 'backend');
+    }
+
+    beginUserTurn(ws, clientState, 'audio', frontendMessage);
+    clearModelAudio(clientState);
+    clientState.turnAudioBytes = 0;
+    clientState.audioLimitReached = false;
+
+    const started = startAudioInput(ws, currentSession, clientState,
+        { mimeType: frontendMessage.mimeType, firstBytes: audioBlob, completeAudio: audioBlob },
+        () => signalAudioEndToGemini(ws, currentSession, clientState));
+    if (!started) {
+        clientState.isTurnActive = false;
+        return;
+    }
+
+    conversationRecorder.startUserAudioTurn(clientState);
+    conversationRecorder.addUserAudioChunk(clientState, audioBlob);
+    conversationRecorder.finishUserAudioTurn(clientState);
+    logger.debug('Audio', 'Fed audio blob to the audio input.');
+}
+
+function handleAudioStreamStart(ws, frontendMessage, geminiSessionMap, clientStateMap) {
+    logger.info('WS', 'Starting live audio stream.');
+
+    const clientState = clientStateMap.get(ws);
 
     stopAudioProcessing(clientState);
+    if (clientState.isModelResponding) {
+        interruptModelTurn(ws, clientState, 'backend');
+    }
 
-    clientState.firstGeminiResponseReceived = false;
-    clientState.audioBuffer = Buffer.alloc(0);
+    beginUserTurn(ws, clientState, 'audio', frontendMessage);
+    clearModelAudio(clientState);
+    clientState.turnAudioBytes = 0;
+    clientState.audioLimitReached = false;
+    clientState.isStreamingAudio = true;
+    clientState.streamMimeType = frontendMessage.mimeType;
+    conversationRecorder.startUserAudioTurn(clientState);
+}
 
-    const inputStream = new PassThrough();
-    const pcmStream = new PassThrough();
+// The decoder starts with the first chunk, once its bytes tell the container apart.
+function handleAudioStreamChunk(ws, audioChunk, geminiSessionMap, clientStateMap) {
+    const currentSession = geminiSessionMap.get(ws);
+    const clientState = clientStateMap.get(ws);
 
-    clientState.ffmpegInputStream = inputStream;
-    clientState.pcmOutputStream = pcmStream;
+    if (!clientState.isStreamingAudio) {
+        logger.warn('WS', 'Received audio stream chunk but no live audio stream is active. Dropping it.');
+        return;
+    }
+    if (!clientState.audioInputStream) {
+        const started = startAudioInput(ws, currentSession, clientState,
+            { mimeType: clientState.streamMimeType, firstBytes: audioChunk },
+            () => signalAudioStreamEndToGemini(ws, currentSession, clientState));
+        if (!started) {
+            stopAudioProcessing(clientState);
+            clientState.isTurnActive = false;
+            return;
+        }
+    }
 
-    clientState.ffmpegProcess = configureFFmpegProcess(ws, currentSession, clientState, inputStream, pcmStream);
-    setupPcmStreamHandlers(ws, currentSession, clientState, pcmStream);
+    clientState.audioInputStream.write(audioChunk);
+    conversationRecorder.addUserAudioChunk(clientState, audioChunk);
+    logger.debug('Audio', `Fed ${audioChunk.length} bytes to the live audio input.`);
+}
+
+function handleAudioStreamEnd(ws, clientStateMap) {
+    const clientState = clientStateMap.get(ws);
+
+    if (!clientState.isStreamingAudio) {
+        logger.warn('WS', 'Received audioStreamEnd but no live audio stream is active.');
+        return;
+    }
+    if (!clientState.audioInputStream) {
+        logger.info('WS', 'Live audio stream closed before any audio arrived.');
+        stopAudioProcessing(clientState);
+        clientState.isTurnActive = false;
+        return;
+    }
 
-    inputStream.end(audioBlob);
-    console.debug('[BE:FFmpeg] Fed audio blob to FFmpeg input stream.');
+    logger.info('WS', 'Live audio stream closed by frontend.');
+    clientState.isStreamingAudio = false;
+    clientState.audioInputStream.end();
+    conversationRecorder.finishUserAudioTurn(clientState);
+}
+
+const IMAGE_SIGNATURES = {
+    'image/jpeg': image => image.length >= 3 && image[0] === 0xFF && image[1] === 0xD8 && image[2] === 0xFF,
+    'image/png': image => image.length >= 8 && image.readUInt32BE(0) === 0x89504E47,
+    'image/webp': image => image.length >= 12 && image.toString('latin1', 0, 4) === 'RIFF' && image.toString('latin1', 8, 12) === 'WEBP',
+};
+
+// Camera and screen frames and pasted images all go in as realtime video input. They
+// don't open a turn: Gemini looks at the latest frames when the user next speaks or types.
+function handleImageMessage(ws, frontendMessage, image, geminiSessionMap) {
+    const source = frontendMessage.source || 'file';
+    if (!IMAGE_SIGNATURES[frontendMessage.mimeType](image)) {
+        throw new protocol.ProtocolError(protocol.ErrorCodes.INVALID_MESSAGE, `Image data is not ${frontendMessage.mimeType}.`, frontendMessage.id);
+    }
+
+    const currentSession = geminiSessionMap.get(ws);
+    try {
+        currentSession.sendRealtimeInput({ video: { data: image.toString('base64'), mimeType: frontendMessage.mimeType } });
+        metrics.recordImage(source);
+        logger.debug('Gemini', `Sent ${source} image to Gemini.`, { bytes: image.length });
+    } catch (geminiError) {
+        logger.error('Gemini', 'Error sending image to Gemini.', geminiError);
+        metrics.recordError('gemini_send');
+        protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_ERROR, 'Backend error sending image to Gemini: ' + (geminiError.message || 'Unknown Gemini send error'), { inReplyTo: frontendMessage.id });
+    }
+}
+
+// Adds the document's text to the session as user content without ending the turn, so
+// Gemini keeps it as context for the next question instead of answering right away.
+function handleDocumentMessage(ws, frontendMessage, data, geminiSessionMap, clientStateMap) {
+    const { name, mimeType } = frontendMessage;
+    logger.info('WS', `Received document "${name}" (${data.length} bytes).`);
+    const clientState = clientStateMap.get(ws);
+
+    // PDFs are extracted in parallel, but documents reach Gemini in the order they were sent.
+    const extraction = documents.extractDocumentText({ name, mimeType, data, maxChars: limits.MAX_DOCUMENT_CHARS });
+    extraction.catch(() => {});
+    clientState.documentQueue = clientState.documentQueue
+        .then(() => extraction)
+        .then(document => {
+            const currentSession = geminiSessionMap.get(ws);
+            if (!currentSession || !clientStateMap.has(ws)) return;
+
+            const content = documents.formatDocumentForModel(name, document.text);
+            currentSession.sendClientContent({ turns: [createUserContent(content)], turnComplete: false });
+            conversationRecorder.recordUserDocument(clientState, { name, kind: document.kind, pages: document.pages, text: document.text });
+            logger.info('Gemini', `Added ${document.kind} document "${name}" to the session context.`, { characters: document.text.length, pages: document.pages });
+
+            protocol.send(ws, {
+                from: 'backend',
+                type: 'documentAttached',
+                inReplyTo: frontendMessage.id,
+                data: { name, kind: document.kind, pages: document.pages, characters: document.text.length, text: document.text }
+            });
+        })
+        .catch(error => {
+            metrics.recordError('document');
+            if (error instanceof documents.DocumentError) {
+                logger.warn('WS', `Rejected document "${name}": ${error.message}`);
+                protocol.sendError(ws, error.code, error.message, { inReplyTo: frontendMessage.id });
+                return;
+            }
+            logger.error('Gemini', `Error adding document "${name}" to the session.`, error);
+            protocol.sendError(ws, protocol.ErrorCodes.UPSTREAM_ERROR, 'Backend error sending document to Gemini: ' + (error.message || 'Unknown error'), { inReplyTo: frontendMessage.id });
+        });
+    return clientState.documentQueue;
+}
+
+function handleCancelMessage(ws, clientStateMap) {
+    logger.info('WS', 'Received cancel message.');
+    const clientState = clientStateMap.get(ws);
+
+    if (!clientState.isModelResponding) {
+        logger.debug('WS', 'No model response in progress to cancel.');
+        return;
+    }
+    interruptModelTurn(ws, clientState, 'backend');
 }
 
 function handleWebSocketClose(ws, code, reason, geminiSessionMap, clientStateMap) {
-    console.info(`[BE:WS] Frontend disconnected. Code: ${code}, Reason: ${reason || 'N/A'}`);
-    cleanupClient(ws, geminiSessionMap, clientStateMap);
+    logger.info('WS', `Frontend disconnected. Code: ${code}, Reason: ${reason || 'N/A'}`);
+    cleanupClient(ws, geminiSessionMap, clientStateMap, code !== 1000);
 }
 
 function handleWebSocketError(ws, error, geminiSessionMap, clientStateMap) {
-    console.error(`[BE:WS] error: ${error.message || 'Unknown error'}`);
+    logger.error('WS', 'WebSocket error.', error);
+    metrics.recordError('websocket');
     cleanupClient(ws, geminiSessionMap, clientStateMap);
 }
 
 
 module.exports = {
-    createWavHeader,
-    truncateAudioData,
     cleanupClient,
+    hasActiveTurn,
     processGeminiTextPart,
     processGeminiAudioPart,
+    processGeminiTranscription,
+    interruptModelTurn,
     handleGeminiTurnComplete,
     handleGeminiOpen,
     handleGeminiMessage,
@@ -372,10 +807,18 @@ module.exports = {
     handleTextMessage,
     sendAudioChunkToGemini,
     signalAudioEndToGemini,
+    signalAudioStreamEndToGemini,
     setupPcmStreamHandlers,
     configureFFmpegProcess,
+    startAudioInput,
     handleAudioMessage,
+    handleAudioStreamStart,
+    handleAudioStreamChunk,
+    handleAudioStreamEnd,
+    handleImageMessage,
+    handleDocumentMessage,
     handleWebSocketMessage,
+    handleCancelMessage,
     handleWebSocketClose,
     handleWebSocketError,
 };
\ No newline at end of file
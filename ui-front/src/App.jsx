@@ -12,14 +12,32 @@ import {
     Typography,
     Box,
     FormControlLabel,
-    IconButton
+    IconButton,
+    Switch
 } from '@mui/material';
 import PowerSettingsNewIcon from '@mui/icons-material/PowerSettingsNew';
+import SettingsIcon from '@mui/icons-material/Settings';
+import HistoryIcon from '@mui/icons-material/History';
 import ChatIcon from '@mui/icons-material/Chat';
 import { createTheme, ThemeProvider, styled } from '@mui/material/styles';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { AccountCircle, SmartToy, Mic, Stop, Send } from '@mui/icons-material';
+import { AccountCircle, SmartToy, Mic, Stop, StopCircle, Send, AudioFile, AttachFile, Videocam, VideocamOff, ScreenShare, StopScreenShare, Hearing, HearingDisabled } from '@mui/icons-material';
+import { FrameCapturer } from './imageCapture';
+import { useGeminiLive } from './client/useGeminiLive';
+import ToolCallCard from './ToolCallCard';
+import DocumentChip from './DocumentChip';
+import HandsFreeStatus from './HandsFreeStatus';
+import TurnProgress from './TurnProgress';
+import SettingsDialog from './SettingsDialog';
+import ConversationHistory from './ConversationHistory';
+import { DEFAULT_SESSION_SETTINGS } from './sessionSettings';
+import {
+    listConversations,
+    getConversation,
+    deleteConversation,
+    fetchConversationAudio
+} from './backendApi';
 import './App.css';
 
 const theme = createTheme({
@@ -122,257 +140,317 @@ const StyledListItem = styled(ListItem)(({ theme, sender }) => ({
     flexDirection: sender === 'user' ? 'row-reverse' : 'row',
 }));
 
+const UPLOAD_ACCEPT = 'audio/*,.wav,.mp3,.ogg,.m4a,.webm';
+// Kept in sync with TEXT_EXTENSIONS in backend-node/documents.js.
+const DOCUMENT_ACCEPT = '.pdf,.txt,.log,.md,.csv,.json,.yaml,.yml,.xml,.toml,.ini,.conf,.tf,.tfvars,.hcl,.sh,.sql,.py,.js,.ts,.go,.java,.env,.properties';
+
+const conversationToMessages = (conversation) => Promise.all(conversation.turns.map(async (turn) => {
+    const message = { sender: turn.role === 'user' ? 'user' : 'bot', type: turn.type, turnComplete: true };
+    if (turn.interrupted) {
+        message.interrupted = true;
+    }
+    if (turn.type === 'audio') {
+        message.transcript = turn.transcript;
+        message.content = null;
+        if (turn.audio) {
+            try {
+                message.content = URL.createObjectURL(await fetchConversationAudio(conversation.id, turn.audio.id));
+            } catch (error) {
+                message.audioError = error.message;
+            }
+        }
+    } else if (turn.type === 'document') {
+        Object.assign(message, { name: turn.name, kind: turn.kind, pages: turn.pages, status: 'attached', content: turn.text });
+    } else {
+        message.content = turn.text || '';
+    }
+    return message;
+}));
 
 const App = () => {
-    const [messages, setMessages] = useState([]);
     const [newMessage, setNewMessage] = useState('');
-    const [isConnected, setIsConnected] = useState(false);
-    const [isRecording, setIsRecording] = useState(false);
-    const socketRef = useRef(null);
-    const mediaRecorderRef = useRef(null);
+    const [isLiveMode, setIsLiveMode] = useState(false);
+    const [sessionSettings, setSessionSettings] = useState(DEFAULT_SESSION_SETTINGS);
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [conversations, setConversations] = useState([]);
+    const [isHistoryLoading, setIsHistoryLoading] = useState(false);
+    const [historyError, setHistoryError] = useState(null);
+    const [videoSource, setVideoSource] = useState(null);
     const messagesEndRef = useRef(null);
-    const userAudioChunksRef = useRef([]);
+    const audioFileInputRef = useRef(null);
+    const documentFileInputRef = useRef(null);
+    const frameCapturerRef = useRef(null);
+    const videoPreviewRef = useRef(null);
+    const {
+        messages,
+        isConnected,
+        isReconnecting,
+        isResponding: isBotResponding,
+        isRecording,
+        isAttachingDocument,
+        turnProgress,
+        handsFree,
+        handsFreeState,
+        isHandsFree,
+        connectionId,
+        conversationId: activeConversationId,
+        connect,
+        disconnect,
+        restart,
+        setConversationId,
+        replaceMessages,
+        addError,
+        sendText,
+        sendAudioFile,
+        sendImageFile,
+        sendDocument,
+        sendVideoFrame,
+        startRecording,
+        stopRecording,
+        startHandsFree,
+        stopHandsFree,
+        cancelResponse,
+    } = useGeminiLive(sessionSettings);
 
+    useEffect(() => {
+        return () => frameCapturerRef.current?.stop();
+    }, []);
 
-    const connectWebSocket = () => {
-        if (socketRef.current && socketRef.current.readyState !== WebSocket.CLOSED) {
-            return;
+    useEffect(() => {
+        if (videoPreviewRef.current) {
+            videoPreviewRef.current.srcObject = frameCapturerRef.current ? frameCapturerRef.current.stream : null;
         }
+    }, [videoSource]);
 
-        const wsUrl = 'wss://websocket-node-gemini-service-773267354023.us-central1.run.app';
-        socketRef.current = new WebSocket(wsUrl);
 
-        socketRef.current.onopen = () => {
-            setIsConnected(true);
-        };
+    useEffect(() => {
+        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }, [messages, turnProgress]);
 
-        socketRef.current.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-
-                if (data.from === 'gemini') {
-                    setMessages(prev => {
-                        const updatedMessages = [...prev];
-                        const lastBotMessageIndex = updatedMessages.findLastIndex(msg => msg.sender === 'bot');
-                        const lastBotTextMessageIndex = updatedMessages.findLastIndex(msg => msg.sender === 'bot' && msg.type === 'text');
-
-                        if (data.type === 'text') {
-                            if (lastBotTextMessageIndex !== -1 && !updatedMessages[lastBotTextMessageIndex].turnComplete) {
-                                updatedMessages[lastBotTextMessageIndex].content += data.data;
-                            } else {
-                                if (lastBotMessageIndex !== -1 && !updatedMessages[lastBotMessageIndex].turnComplete) {
-                                    updatedMessages[lastBotMessageIndex].turnComplete = true;
-                                }
-                                updatedMessages.push({ sender: 'bot', type: 'text', content: data.data, turnComplete: false });
-                            }
-                        } else if (data.type === 'audio' && data.data && data.data.audio && data.data.mimeType) {
-                            const audioBlob = base64ToBlob(data.data.audio, data.data.mimeType);
-                            if (audioBlob) {
-                                const audioUrl = URL.createObjectURL(audioBlob);
-                                if (lastBotMessageIndex !== -1 && !updatedMessages[lastBotMessageIndex].turnComplete) {
-                                    updatedMessages[lastBotMessageIndex].turnComplete = true;
-                                }
-                                updatedMessages.push({ sender: 'bot', type: 'audio', content: audioUrl, turnComplete: true });
-                            }
-                        } else if (data.type === 'turnComplete') {
-                            if (lastBotMessageIndex !== -1 && !updatedMessages[lastBotMessageIndex].turnComplete) {
-                                updatedMessages[lastBotMessageIndex].turnComplete = true;
-                            }
-                        }
+    const sendMessage = () => {
+        if (!isConnected && !isReconnecting) {
+            return;
+        }
+        if (newMessage.trim() === '' || isAttachingDocument) {
+            return;
+        }
+        if (sendText(newMessage.trim())) {
+            setNewMessage('');
+        }
+    };
 
-                        return updatedMessages;
-                    });
-                } else if (data.from === 'backend' && data.type === 'error') {
-                    setMessages(prev => [...prev, { sender: 'bot', type: 'text', content: `Erro do Backend: ${data.data}`, isError: true, turnComplete: true }]);
-                }
-            } catch (error) {
-                setMessages(prev => [...prev, { sender: 'bot', type: 'text', content: `Erro ao processar mensagem: ${error.message}`, isError: true, turnComplete: true }]);
-            }
-        };
+    const handleAudioFileSelected = (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            sendAudioFile(file);
+        }
+    };
 
+    const sendDocumentFiles = (files) => {
+        files.forEach(file => sendDocument(file));
+    };
 
-        socketRef.current.onclose = (event) => {
-            setIsConnected(false);
-            if (isRecording) {
-                stopRecording();
-            }
-        };
+    const handleDocumentFilesSelected = (event) => {
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        sendDocumentFiles(files);
+    };
 
-        socketRef.current.onerror = (error) => {
-            setIsConnected(false);
-            if (isRecording) {
-                stopRecording();
+    const stopVideoShare = () => {
+        frameCapturerRef.current?.stop();
+        frameCapturerRef.current = null;
+        setVideoSource(null);
+    };
+
+    const startVideoShare = async (source) => {
+        stopVideoShare();
+        try {
+            const stream = source === 'screen'
+                ? await navigator.mediaDevices.getDisplayMedia({ video: true })
+                : await navigator.mediaDevices.getUserMedia({ video: true });
+            const capturer = new FrameCapturer(stream, sessionSettings.videoFrameRate, frame => sendVideoFrame(frame, source), (error) => {
+                if (frameCapturerRef.current === capturer) {
+                    stopVideoShare();
+                    addError(`Erro ao capturar ${source === 'screen' ? 'a tela' : 'a câmera'}: ${error.message}`);
+                }
+            });
+            frameCapturerRef.current = capturer;
+            // Also fires when the user stops sharing from the browser's own controls.
+            stream.getVideoTracks()[0].onended = () => {
+                if (frameCapturerRef.current === capturer) {
+                    stopVideoShare();
+                }
+            };
+            await capturer.start();
+            setVideoSource(source);
+        } catch (error) {
+            stopVideoShare();
+            if (error.name !== 'NotAllowedError') {
+                addError(`Erro ao compartilhar ${source === 'screen' ? 'a tela' : 'a câmera'}: ${error.message}`);
             }
-        };
+        }
     };
 
-    const disconnectWebSocket = () => {
-        if (socketRef.current && socketRef.current.readyState === WebSocket.OPEN) {
-            socketRef.current.close(1000, 'User initiated disconnect');
+    const toggleVideoShare = (source) => {
+        if (videoSource === source) {
+            stopVideoShare();
         } else {
-            setIsConnected(false);
+            startVideoShare(source);
         }
-        if (isRecording) {
-            stopRecording();
-        }
-        socketRef.current = null;
     };
 
-    useEffect(() => {
-        return () => {
-            if (socketRef.current && socketRef.current.readyState === WebSocket.OPEN) {
-                socketRef.current.close(1001, 'Component cleanup');
-            }
-            socketRef.current = null;
-            if (mediaRecorderRef.current?.stream) {
-                mediaRecorderRef.current.stream.getTracks().forEach(track => track.stop());
-            }
-        };
-    }, []);
-
-
-    useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+    const sendImageFiles = async (files) => {
+        for (const file of files) {
+            await sendImageFile(file);
+        }
+    };
 
-    useEffect(() => {
-        return () => {
-            messages.forEach(msg => {
-                if (msg.type === 'audio' && msg.content && msg.content.startsWith('blob:')) {
-                    URL.revokeObjectURL(msg.content);
-                }
-            });
-        };
-    }, [messages]);
+    const takeImageFiles = (dataTransfer) => Array.from(dataTransfer.files).filter(file => file.type.startsWith('image/'));
 
-    const base64ToBlob = (base64, mime) => {
-        try {
-            const byteChars = atob(base64);
-            const byteNumbers = new Uint8Array(byteChars.length);
-            for (let i = 0; i < byteChars.length; i++) {
-                byteNumbers[i] = byteChars.charCodeAt(i);
-            }
-            const blob = new Blob([byteNumbers], { type: mime });
-            return blob;
-        } catch (error) {
-            return null;
+    const handlePaste = (event) => {
+        const images = takeImageFiles(event.clipboardData);
+        if (images.length > 0 && (isConnected || isReconnecting)) {
+            event.preventDefault();
+            sendImageFiles(images);
         }
     };
 
-    const sendMessage = () => {
-        if (!isConnected || !socketRef.current || socketRef.current.readyState !== WebSocket.OPEN) {
+    // Anything that is not an image is sent as a document; the backend rejects what it can't read.
+    const handleDrop = (event) => {
+        event.preventDefault();
+        if (!isConnected && !isReconnecting) {
             return;
         }
-        if (newMessage.trim() === '') {
-            return;
+        const files = Array.from(event.dataTransfer.files);
+        const images = files.filter(file => file.type.startsWith('image/'));
+        if (images.length > 0) {
+            sendImageFiles(images);
         }
+        sendDocumentFiles(files.filter(file => !images.includes(file)));
+    };
 
-        const messageToSend = newMessage.trim();
+    const handleToggleConnection = () => {
+        if (isConnected || isReconnecting) {
+            stopVideoShare();
+            disconnect();
+        } else {
+            connect();
+        }
+    };
+
+    const loadConversationList = async () => {
+        setIsHistoryLoading(true);
+        setHistoryError(null);
         try {
-            socketRef.current.send(JSON.stringify({ type: 'text', message: messageToSend }));
-            setMessages(prev => [...prev, { sender: 'user', type: 'text', content: messageToSend, turnComplete: true }]);
-            setNewMessage('');
+            setConversations(await listConversations());
         } catch (error) {
+            setHistoryError(error.message);
+        } finally {
+            setIsHistoryLoading(false);
         }
     };
 
-    const startRecording = async () => {
-        if (!isConnected || (socketRef.current && socketRef.current.readyState !== WebSocket.OPEN)) {
-            return;
-        }
-        if (isRecording) {
+    const openHistory = () => {
+        setIsHistoryOpen(true);
+        loadConversationList();
+    };
+
+    // The backend binds a conversation to the session in the setup message.
+    const selectConversation = async (conversationId) => {
+        setIsHistoryOpen(false);
+        if (conversationId === activeConversationId) {
             return;
         }
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            mediaRecorderRef.current = new MediaRecorder(stream, { mimeType: 'audio/webm' });
-            userAudioChunksRef.current = [];
-
-            mediaRecorderRef.current.ondataavailable = (e) => {
-                if (e.data.size > 0) {
-                    userAudioChunksRef.current.push(e.data);
-                }
-            };
-
-            mediaRecorderRef.current.onstop = async () => {
-                const audioBlob = new Blob(userAudioChunksRef.current, { type: mediaRecorderRef.current.mimeType });
-                const audioUrl = URL.createObjectURL(audioBlob);
-
-                setMessages(prev => [...prev, { sender: 'user', type: 'audio', content: audioUrl, turnComplete: true }]);
-
-
-                if (socketRef.current && socketRef.current.readyState === WebSocket.OPEN) {
-                    const reader = new FileReader();
-                    reader.onloadend = () => {
-                        const base64data = reader.result.split(',')[1];
-                        try {
-                            socketRef.current.send(JSON.stringify({ type: 'audio', audioData: base64data }));
-                        } catch (error) {
-                        }
-                    };
-                    reader.onerror = (error) => {
-                    };
-                    reader.readAsDataURL(audioBlob);
-                }
-
-
-                userAudioChunksRef.current = [];
-                stream.getTracks().forEach(track => track.stop());
-                setIsRecording(false);
-            };
-
-            mediaRecorderRef.current.start();
-            setIsRecording(true);
-
-
+            const conversation = await getConversation(conversationId);
+            replaceMessages(await conversationToMessages(conversation));
+            setConversationId(conversation.id);
+            restart();
         } catch (error) {
-            setIsRecording(false);
-            setMessages(prev => [...prev, { sender: 'bot', type: 'text', content: `Erro ao iniciar gravação: ${error.message}`, isError: true, turnComplete: true }]);
+            addError(`Erro ao abrir a conversa: ${error.message}`);
         }
     };
 
-    const stopRecording = () => {
-        if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
-            mediaRecorderRef.current.stop();
-        } else {
-            setIsRecording(false);
-        }
+    const startNewConversation = () => {
+        setIsHistoryOpen(false);
+        replaceMessages([]);
+        setConversationId(null);
+        restart();
     };
 
-    const handleToggleConnection = () => {
-        if (isConnected) {
-            disconnectWebSocket();
-        } else {
-            connectWebSocket();
+    const removeConversation = async (conversationId) => {
+        try {
+            await deleteConversation(conversationId);
+            setConversations(prev => prev.filter(conversation => conversation.id !== conversationId));
+            if (conversationId === activeConversationId) {
+                startNewConversation();
+            }
+        } catch (error) {
+            setHistoryError(error.message);
         }
     };
 
+    const connectionColor = isConnected
+        ? theme.palette.success.main
+        : isReconnecting ? theme.palette.warning.main : theme.palette.error.main;
+
     return (
         <ThemeProvider theme={theme}>
             <Box sx={{ display: 'flex', flexDirection: 'column', height: '100vh', bgcolor: theme.palette.background.default }}>
                 <AppBar position="static">
                     <Toolbar>
+                        <IconButton
+                            color="inherit"
+                            edge="start"
+                            aria-label="Histórico de conversas"
+                            title="Histórico de conversas"
+                            onClick={openHistory}
+                            sx={{ mr: 1 }}
+                        >
+                            <HistoryIcon />
+                        </IconButton>
                         <ChatIcon sx={{ mr: 2 }} />
                         <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
                             Realtime com Gemini
                         </Typography>
+                        <IconButton
+                            color="inherit"
+                            aria-label="Configurações da sessão"
+                            title={isConnected || isReconnecting ? "Desconecte para alterar as configurações" : "Configurações da sessão"}
+                            onClick={() => setIsSettingsOpen(true)}
+                            disabled={isConnected || isReconnecting}
+                            sx={{ mr: 1 }}
+                        >
+                            <SettingsIcon />
+                        </IconButton>
+                        {isConnected && connectionId && (
+                            <Typography
+                                variant="caption"
+                                title="Informe este código ao relatar um problema"
+                                sx={{ mr: 2, opacity: 0.8, fontFamily: 'monospace' }}
+                            >
+                                ID {connectionId}
+                            </Typography>
+                        )}
                         <FormControlLabel
                             control={
                                 <IconButton
                                     color="inherit"
-                                    aria-label={isConnected ? "Desconectar" : "Conectar"}
-                                    title={isConnected ? "Desconectar" : "Conectar"}
+                                    aria-label={isConnected || isReconnecting ? "Desconectar" : "Conectar"}
+                                    title={isConnected || isReconnecting ? "Desconectar" : "Conectar"}
                                     onClick={handleToggleConnection}
                                 >
                                     <PowerSettingsNewIcon />
                                 </IconButton>
                             }
-                            label={isConnected ? "Online" : "Offline"}
+                            label={isConnected ? "Online" : isReconnecting ? "Reconectando…" : "Offline"}
                             sx={{
                                 marginRight: 0,
-                                color: isConnected ? theme.palette.success.main : theme.palette.error.main,
+                                color: connectionColor,
                                 '.MuiFormControlLabel-label': {
-                                    color: isConnected ? theme.palette.success.main : theme.palette.error.main,
+                                    color: connectionColor,
                                     fontWeight: 'bold'
                                 }
                             }}
@@ -380,8 +458,34 @@ const App = () => {
                     </Toolbar>
                 </AppBar>
 
+                <ConversationHistory
+                    open={isHistoryOpen}
+                    conversations={conversations}
+                    isLoading={isHistoryLoading}
+                    error={historyError}
+                    activeConversationId={activeConversationId}
+                    onClose={() => setIsHistoryOpen(false)}
+                    onSelect={selectConversation}
+                    onNew={startNewConversation}
+                    onDelete={removeConversation}
+                />
+
+                <SettingsDialog
+                    open={isSettingsOpen}
+                    settings={sessionSettings}
+                    onClose={() => setIsSettingsOpen(false)}
+                    onSave={(settings) => {
+                        setSessionSettings(settings);
+                        setIsSettingsOpen(false);
+                    }}
+                />
+
                 <Container maxWidth="md" sx={{ flexGrow: 1, display: 'flex', flexDirection: 'column', overflowY: 'hidden', paddingBottom: 0 }}>
-                    <Box sx={{ flexGrow: 1, overflowY: 'auto', padding: '16px', mt: 2, '& > ul': { listStyle: 'none', padding: 0 } }}>
+                    <Box
+                        sx={{ flexGrow: 1, overflowY: 'auto', padding: '16px', mt: 2, '& > ul': { listStyle: 'none', padding: 0 } }}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={handleDrop}
+                    >
                         <List>
                             {messages.map((message, index) => (
                                 <StyledListItem
@@ -394,27 +498,64 @@ const App = () => {
                                     <ListItemText
                                         primary={message.sender === 'user' ? "Você:" : "Gemini:"}
                                         secondary={
-                                            message.type === 'text' ? (
-                                                <ReactMarkdown
-                                                    remarkPlugins={[remarkGfm]}
-                                                    components={{
-                                                        p: ({ node, ...props }) => <div style={{ margin: 0 }} {...props} />,
-                                                    }}
-                                                >
-                                                    {message.content}
-                                                </ReactMarkdown>
-                                            ) : message.type === 'audio' ? (
-                                                <audio controls src={message.content} />
-                                            ) : null
+                                            <>
+                                                {message.type === 'text' ? (
+                                                    <ReactMarkdown
+                                                        remarkPlugins={[remarkGfm]}
+                                                        components={{
+                                                            p: ({ node, ...props }) => <div style={{ margin: 0 }} {...props} />,
+                                                        }}
+                                                    >
+                                                        {message.content}
+                                                    </ReactMarkdown>
+                                                ) : message.type === 'audio' ? (
+                                                    <>
+                                                        {message.content && <audio controls src={message.content} />}
+                                                        {message.audioError && (
+                                                            <Typography component="span" variant="caption" color="error" sx={{ display: 'block' }}>
+                                                                Não foi possível carregar o áudio: {message.audioError}
+                                                            </Typography>
+                                                        )}
+                                                        {message.transcript && (
+                                                            <Typography component="span" variant="body2" sx={{ display: 'block', mt: 0.5, fontStyle: 'italic' }}>
+                                                                {message.transcript}
+                                                            </Typography>
+                                                        )}
+                                                    </>
+                                                ) : message.type === 'image' ? (
+                                                    <Box component="img" src={message.content} alt="Imagem enviada" sx={{ display: 'block', maxWidth: 240, maxHeight: 240, borderRadius: 1 }} />
+                                                ) : message.type === 'document' ? (
+                                                    <DocumentChip document={message} />
+                                                ) : message.type === 'tool' ? (
+                                                    <ToolCallCard toolCall={message.toolCall} />
+                                                ) : null}
+                                                {message.interrupted && (
+                                                    <Typography component="span" variant="caption" sx={{ display: 'block', fontStyle: 'italic' }}>
+                                                        (resposta interrompida)
+                                                    </Typography>
+                                                )}
+                                            </>
                                         }
                                         sx={{ '& .MuiListItemText-primary': { fontWeight: 'bold' } }}
                                     />
                                 </StyledListItem>
                             ))}
+                            {turnProgress && !isRecording && <TurnProgress progress={turnProgress} />}
                             <div ref={messagesEndRef} />
                         </List>
                     </Box>
 
+                    {videoSource && (
+                        <Box sx={{ px: 2, py: 1, display: 'flex', alignItems: 'center', gap: 1 }}>
+                            <Box component="video" ref={videoPreviewRef} autoPlay muted playsInline sx={{ width: 160, borderRadius: 1, backgroundColor: '#000' }} />
+                            <Typography variant="caption">
+                                {videoSource === 'screen' ? 'Compartilhando a tela' : 'Câmera ligada'} ({sessionSettings.videoFrameRate} quadro/s). Pergunte sobre o que o Gemini está vendo.
+                            </Typography>
+                        </Box>
+                    )}
+                    {isHandsFree && (
+                        <HandsFreeStatus controller={handsFree} state={handsFreeState} thresholdDb={sessionSettings.voiceThresholdDb} />
+                    )}
                     <Box sx={{ padding: '16px', borderTop: '1px solid #ccc', backgroundColor: theme.palette.background.paper, display: 'flex', alignItems: 'center', gap: '10px' }}>
                         <TextField
                             fullWidth
@@ -423,18 +564,31 @@ const App = () => {
                             value={newMessage}
                             onChange={(e) => setNewMessage(e.target.value)}
                             onKeyPress={(e) => { if (e.key === 'Enter') { e.preventDefault(); sendMessage(); } }}
-                            disabled={!isConnected || isRecording}
+                            onPaste={handlePaste}
+                            disabled={(!isConnected && !isReconnecting) || isRecording}
                             sx={{ flexGrow: 1 }}
                         />
                         <Button
                             variant="contained"
                             color="secondary"
                             onClick={sendMessage}
-                            disabled={!isConnected || newMessage.trim() === '' || isRecording}
+                            disabled={(!isConnected && !isReconnecting) || newMessage.trim() === '' || isRecording || isAttachingDocument}
+                            title={isAttachingDocument ? 'Aguarde o documento ser anexado' : undefined}
                         >
                             <Send />
                         </Button>
-                        {isRecording ? (
+                        {isBotResponding && (
+                            <Button
+                                variant="outlined"
+                                color="secondary"
+                                onClick={cancelResponse}
+                                disabled={!isConnected}
+                                title="Interromper a resposta do Gemini"
+                            >
+                                <StopCircle />
+                            </Button>
+                        )}
+                        {isRecording && !isHandsFree ? (
                             <Button
                                 variant="contained"
                                 color="secondary"
@@ -447,12 +601,85 @@ const App = () => {
                             <Button
                                 variant="contained"
                                 color="secondary"
-                                onClick={startRecording}
-                                disabled={!isConnected || !!newMessage.trim()}
+                                onClick={() => startRecording({ live: isLiveMode })}
+                                disabled={!isConnected || !!newMessage.trim() || isHandsFree}
                             >
                                 <Mic /> Gravar
                             </Button>
                         )}
+                        <Button
+                            variant={isHandsFree ? 'contained' : 'outlined'}
+                            color="secondary"
+                            onClick={isHandsFree ? stopHandsFree : startHandsFree}
+                            disabled={!isConnected && !isHandsFree}
+                            title={isHandsFree ? 'Sair do modo mãos livres' : 'Modo mãos livres: grava quando você fala, envia quando você para e toca a resposta'}
+                        >
+                            {isHandsFree ? <HearingDisabled /> : <Hearing />}
+                        </Button>
+                        <input
+                            ref={audioFileInputRef}
+                            type="file"
+                            accept={UPLOAD_ACCEPT}
+                            onChange={handleAudioFileSelected}
+                            hidden
+                        />
+                        <Button
+                            variant="outlined"
+                            color="secondary"
+                            onClick={() => audioFileInputRef.current?.click()}
+                            disabled={!isConnected || isRecording}
+                            title="Enviar um arquivo de áudio (WebM, Ogg, WAV, MP3 ou M4A)"
+                        >
+                            <AudioFile />
+                        </Button>
+                        <input
+                            ref={documentFileInputRef}
+                            type="file"
+                            accept={DOCUMENT_ACCEPT}
+                            onChange={handleDocumentFilesSelected}
+                            multiple
+                            hidden
+                        />
+                        <Button
+                            variant="outlined"
+                            color="secondary"
+                            onClick={() => documentFileInputRef.current?.click()}
+                            disabled={!isConnected && !isReconnecting}
+                            title="Anexar um documento (PDF, log, YAML, Terraform...) como contexto da conversa"
+                        >
+                            <AttachFile />
+                        </Button>
+                        <Button
+                            variant={videoSource === 'camera' ? 'contained' : 'outlined'}
+                            color="secondary"
+                            onClick={() => toggleVideoShare('camera')}
+                            disabled={!isConnected}
+                            title={videoSource === 'camera' ? 'Parar a câmera' : 'Mostrar a câmera para o Gemini'}
+                        >
+                            {videoSource === 'camera' ? <VideocamOff /> : <Videocam />}
+                        </Button>
+                        <Button
+                            variant={videoSource === 'screen' ? 'contained' : 'outlined'}
+                            color="secondary"
+                            onClick={() => toggleVideoShare('screen')}
+                            disabled={!isConnected}
+                            title={videoSource === 'screen' ? 'Parar de compartilhar a tela' : 'Compartilhar a tela com o Gemini'}
+                        >
+                            {videoSource === 'screen' ? <StopScreenShare /> : <ScreenShare />}
+                        </Button>
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={isLiveMode}
+                                    onChange={(e) => setIsLiveMode(e.target.checked)}
+                                    disabled={isRecording || isHandsFree}
+                                    color="secondary"
+                                />
+                            }
+                            label="Ao vivo"
+                            title="Envia o áudio enquanto você fala e deixa o Gemini detectar o fim da fala"
+                            sx={{ marginRight: 0, whiteSpace: 'nowrap' }}
+                        />
                     </Box>
                 </Container>
             </Box>
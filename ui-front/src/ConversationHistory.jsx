@@ -0,0 +1,85 @@
+import {
+    Box,
+    Button,
+    CircularProgress,
+    Drawer,
+    IconButton,
+    List,
+    ListItem,
+    ListItemButton,
+    ListItemText,
+    Typography
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import PropTypes from 'prop-types';
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+
+const ConversationHistory = ({ open, conversations, isLoading, error, activeConversationId, onClose, onSelect, onNew, onDelete }) => (
+    <Drawer anchor="left" open={open} onClose={onClose}>
+        <Box sx={{ width: 300, display: 'flex', flexDirection: 'column', height: '100%' }}>
+            <Box sx={{ p: 2, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Typography variant="h6">Conversas</Typography>
+                <Button size="small" variant="contained" color="secondary" startIcon={<AddIcon />} onClick={onNew}>
+                    Nova
+                </Button>
+            </Box>
+            {isLoading && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+                    <CircularProgress size={24} />
+                </Box>
+            )}
+            {error && (
+                <Typography variant="body2" color="error" sx={{ px: 2 }}>
+                    Não foi possível carregar o histórico: {error}
+                </Typography>
+            )}
+            {!isLoading && !error && conversations.length === 0 && (
+                <Typography variant="body2" sx={{ px: 2, color: 'text.secondary' }}>
+                    Nenhuma conversa salva ainda.
+                </Typography>
+            )}
+            <List sx={{ overflowY: 'auto', flexGrow: 1 }}>
+                {conversations.map(conversation => (
+                    <ListItem
+                        key={conversation.id}
+                        disablePadding
+                        secondaryAction={
+                            <IconButton edge="end" aria-label="Apagar conversa" title="Apagar conversa" onClick={() => onDelete(conversation.id)}>
+                                <DeleteIcon fontSize="small" />
+                            </IconButton>
+                        }
+                    >
+                        <ListItemButton selected={conversation.id === activeConversationId} onClick={() => onSelect(conversation.id)}>
+                            <ListItemText
+                                primary={conversation.title || 'Conversa sem título'}
+                                secondary={`${formatDate(conversation.updatedAt)} · ${conversation.turnCount} mensagens`}
+                                primaryTypographyProps={{ noWrap: true }}
+                            />
+                        </ListItemButton>
+                    </ListItem>
+                ))}
+            </List>
+        </Box>
+    </Drawer>
+);
+
+ConversationHistory.propTypes = {
+    open: PropTypes.bool.isRequired,
+    conversations: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        title: PropTypes.string,
+        updatedAt: PropTypes.string.isRequired,
+        turnCount: PropTypes.number.isRequired,
+    })).isRequired,
+    isLoading: PropTypes.bool.isRequired,
+    error: PropTypes.string,
+    activeConversationId: PropTypes.string,
+    onClose: PropTypes.func.isRequired,
+    onSelect: PropTypes.func.isRequired,
+    onNew: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired,
+};
+
+export default ConversationHistory;
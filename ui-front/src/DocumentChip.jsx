@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { Box, Chip, CircularProgress, Dialog, DialogContent, DialogTitle, Typography } from '@mui/material';
+import DescriptionIcon from '@mui/icons-material/Description';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import PropTypes from 'prop-types';
+
+const describeDocument = (document) => {
+    if (document.status === 'processing') {
+        return `Lendo ${document.name}…`;
+    }
+    const pages = document.pages ? ` · ${document.pages} ${document.pages === 1 ? 'página' : 'páginas'}` : '';
+    return `${document.name}${pages}`;
+};
+
+// Clicking the chip shows the text that was extracted and given to the model.
+const DocumentChip = ({ document }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const isProcessing = document.status === 'processing';
+
+    return (
+        <>
+            <Chip
+                icon={isProcessing ? <CircularProgress size={16} /> : document.kind === 'pdf' ? <PictureAsPdfIcon /> : <DescriptionIcon />}
+                label={describeDocument(document)}
+                variant="outlined"
+                onClick={isProcessing ? undefined : () => setIsOpen(true)}
+                title={isProcessing ? undefined : 'Ver o texto anexado à conversa'}
+                sx={{ mt: 0.5, maxWidth: '100%' }}
+            />
+            <Dialog open={isOpen} onClose={() => setIsOpen(false)} maxWidth="md" fullWidth>
+                <DialogTitle>{document.name}</DialogTitle>
+                <DialogContent dividers>
+                    <Typography variant="caption" sx={{ display: 'block', mb: 1 }}>
+                        Texto extraído ({(document.content || '').length} caracteres). É isto que o Gemini recebe como contexto.
+                    </Typography>
+                    <Box component="pre" sx={{ m: 0, fontSize: '0.75rem', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                        {document.content}
+                    </Box>
+                </DialogContent>
+            </Dialog>
+        </>
+    );
+};
+
+DocumentChip.propTypes = {
+    document: PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        kind: PropTypes.oneOf(['pdf', 'text']),
+        pages: PropTypes.number,
+        status: PropTypes.oneOf(['processing', 'attached']).isRequired,
+        content: PropTypes.string,
+    }).isRequired,
+};
+
+export default DocumentChip;
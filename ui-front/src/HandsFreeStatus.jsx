@@ -0,0 +1,54 @@
+import { useEffect, useState } from 'react';
+import { Box, Chip, LinearProgress, Typography } from '@mui/material';
+import { GraphicEq, Hearing, HourglassTop, RecordVoiceOver } from '@mui/icons-material';
+import PropTypes from 'prop-types';
+import { HandsFreeState } from './client/HandsFreeController';
+
+const METER_FLOOR_DB = -80;
+
+const STATE_DISPLAY = {
+    [HandsFreeState.LISTENING]: { label: 'Ouvindo', icon: <Hearing />, color: 'success' },
+    [HandsFreeState.RECORDING]: { label: 'Gravando sua fala', icon: <RecordVoiceOver />, color: 'error' },
+    [HandsFreeState.THINKING]: { label: 'Pensando…', icon: <HourglassTop />, color: 'secondary' },
+    [HandsFreeState.SPEAKING]: { label: 'Gemini falando', icon: <GraphicEq />, color: 'primary' },
+};
+
+const toPercent = (db) => Math.min(100, Math.max(0, (db - METER_FLOOR_DB) / -METER_FLOOR_DB * 100));
+
+// The level updates about 20 times a second, so it is kept here rather than in App.
+const HandsFreeStatus = ({ controller, state, thresholdDb }) => {
+    const [level, setLevel] = useState(METER_FLOOR_DB);
+
+    useEffect(() => controller.on('level', setLevel), [controller]);
+
+    const display = STATE_DISPLAY[state];
+    if (!display) {
+        return null;
+    }
+
+    return (
+        <Box sx={{ px: 2, py: 1, display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Chip icon={display.icon} label={display.label} color={display.color} variant="outlined" sx={{ minWidth: 170 }} />
+            <Box sx={{ position: 'relative', flexGrow: 1 }} title={`Nível do microfone: ${Math.round(level)} dB (fala acima de ${thresholdDb} dB)`}>
+                <LinearProgress
+                    variant="determinate"
+                    value={toPercent(level)}
+                    color={level >= thresholdDb ? 'success' : 'inherit'}
+                    sx={{ height: 8, borderRadius: 4, '& .MuiLinearProgress-bar': { transition: 'none' } }}
+                />
+                <Box sx={{ position: 'absolute', top: -2, bottom: -2, left: `${toPercent(thresholdDb)}%`, width: 2, bgcolor: 'text.primary' }} />
+            </Box>
+            <Typography variant="caption" sx={{ whiteSpace: 'nowrap' }}>
+                {state === HandsFreeState.LISTENING ? 'Fale quando quiser' : state === HandsFreeState.RECORDING ? 'Pare de falar para enviar' : 'O microfone volta quando a resposta terminar'}
+            </Typography>
+        </Box>
+    );
+};
+
+HandsFreeStatus.propTypes = {
+    controller: PropTypes.shape({ on: PropTypes.func.isRequired }).isRequired,
+    state: PropTypes.oneOf(Object.values(HandsFreeState)).isRequired,
+    thresholdDb: PropTypes.number.isRequired,
+};
+
+export default HandsFreeStatus;
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import {
+    Button,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    FormControl,
+    InputLabel,
+    MenuItem,
+    Select,
+    Slider,
+    Stack,
+    TextField,
+    Typography
+} from '@mui/material';
+import PropTypes from 'prop-types';
+import {
+    DEFAULT_SESSION_SETTINGS,
+    LANGUAGE_OPTIONS,
+    MODALITY_OPTIONS,
+    MODEL_OPTIONS,
+    OUTPUT_AUDIO_FORMAT_OPTIONS,
+    VIDEO_FRAME_RATE_OPTIONS,
+    VOICE_OPTIONS,
+    VOICE_THRESHOLD_DB_RANGE
+} from './sessionSettings';
+
+const SettingsDialog = ({ open, settings, onClose, onSave }) => {
+    const [draft, setDraft] = useState(settings);
+
+    const updateDraft = (field) => (event) => {
+        setDraft(prev => ({ ...prev, [field]: event.target.value }));
+    };
+
+    const updateDraftFromSlider = (field) => (event, value) => {
+        setDraft(prev => ({ ...prev, [field]: value }));
+    };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth TransitionProps={{ onEnter: () => setDraft(settings) }}>
+            <DialogTitle>Configurações da sessão</DialogTitle>
+            <DialogContent>
+                <Stack spacing={2} sx={{ mt: 1 }}>
+                    <FormControl fullWidth>
+                        <InputLabel id="settings-model">Modelo</InputLabel>
+                        <Select labelId="settings-model" label="Modelo" value={draft.model} onChange={updateDraft('model')}>
+                            {MODEL_OPTIONS.map(model => <MenuItem key={model} value={model}>{model}</MenuItem>)}
+                        </Select>
+                    </FormControl>
+                    <TextField
+                        label="Instrução de sistema"
+                        multiline
+                        minRows={3}
+                        value={draft.systemInstruction}
+                        onChange={updateDraft('systemInstruction')}
+                    />
+                    <FormControl fullWidth>
+                        <InputLabel id="settings-modality">Formato da resposta</InputLabel>
+                        <Select labelId="settings-modality" label="Formato da resposta" value={draft.responseModality} onChange={updateDraft('responseModality')}>
+                            {MODALITY_OPTIONS.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
+                        </Select>
+                    </FormControl>
+                    <FormControl fullWidth disabled={draft.responseModality !== 'AUDIO'}>
+                        <InputLabel id="settings-voice">Voz</InputLabel>
+                        <Select labelId="settings-voice" label="Voz" value={draft.voiceName} onChange={updateDraft('voiceName')}>
+                            {VOICE_OPTIONS.map(voice => <MenuItem key={voice} value={voice}>{voice}</MenuItem>)}
+                        </Select>
+                    </FormControl>
+                    <FormControl fullWidth disabled={draft.responseModality !== 'AUDIO'}>
+                        <InputLabel id="settings-output-audio">Codec do áudio</InputLabel>
+                        <Select labelId="settings-output-audio" label="Codec do áudio" value={draft.outputAudioFormat} onChange={updateDraft('outputAudioFormat')}>
+                            {OUTPUT_AUDIO_FORMAT_OPTIONS.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
+                        </Select>
+                    </FormControl>
+                    <FormControl fullWidth>
+                        <InputLabel id="settings-language">Idioma</InputLabel>
+                        <Select labelId="settings-language" label="Idioma" value={draft.languageCode} onChange={updateDraft('languageCode')}>
+                            {LANGUAGE_OPTIONS.map(option => <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>)}
+                        </Select>
+                    </FormControl>
+                    <FormControl fullWidth>
+                        <InputLabel id="settings-video-frame-rate">Quadros por segundo (câmera e tela)</InputLabel>
+                        <Select labelId="settings-video-frame-rate" label="Quadros por segundo (câmera e tela)" value={draft.videoFrameRate} onChange={updateDraft('videoFrameRate')}>
+                            {VIDEO_FRAME_RATE_OPTIONS.map(rate => <MenuItem key={rate} value={rate}>{rate}</MenuItem>)}
+                        </Select>
+                    </FormControl>
+                    <div>
+                        <Typography variant="body2" gutterBottom>Temperatura: {draft.temperature}</Typography>
+                        <Slider min={0} max={2} step={0.1} value={draft.temperature} onChange={updateDraftFromSlider('temperature')} />
+                    </div>
+                    <Typography variant="subtitle2">Modo mãos livres</Typography>
+                    <div>
+                        <Typography variant="body2" gutterBottom>Nível mínimo de voz: {draft.voiceThresholdDb} dB</Typography>
+                        <Slider {...VOICE_THRESHOLD_DB_RANGE} step={1} value={draft.voiceThresholdDb} onChange={updateDraftFromSlider('voiceThresholdDb')} />
+                        <Typography variant="caption">Aumente se ruídos do ambiente iniciam gravações; diminua se a sua voz não é detectada.</Typography>
+                    </div>
+                    <div>
+                        <Typography variant="body2" gutterBottom>Silêncio que encerra a fala: {(draft.silenceMs / 1000).toFixed(1)} s</Typography>
+                        <Slider min={500} max={3000} step={100} value={draft.silenceMs} onChange={updateDraftFromSlider('silenceMs')} />
+                    </div>
+                    <div>
+                        <Typography variant="body2" gutterBottom>Duração máxima de cada fala: {draft.maxUtteranceSeconds} s</Typography>
+                        <Slider min={5} max={120} step={5} value={draft.maxUtteranceSeconds} onChange={updateDraftFromSlider('maxUtteranceSeconds')} />
+                    </div>
+                </Stack>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={() => setDraft(DEFAULT_SESSION_SETTINGS)}>Restaurar padrão</Button>
+                <Button onClick={onClose}>Cancelar</Button>
+                <Button
+                    variant="contained"
+                    color="secondary"
+                    onClick={() => onSave(draft)}
+                    disabled={draft.systemInstruction.trim() === ''}
+                >
+                    Salvar
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+SettingsDialog.propTypes = {
+    open: PropTypes.bool.isRequired,
+    settings: PropTypes.shape({
+        model: PropTypes.string.isRequired,
+        systemInstruction: PropTypes.string.isRequired,
+        responseModality: PropTypes.string.isRequired,
+        voiceName: PropTypes.string.isRequired,
+        languageCode: PropTypes.string.isRequired,
+        temperature: PropTypes.number.isRequired,
+        outputAudioFormat: PropTypes.string.isRequired,
+        videoFrameRate: PropTypes.number.isRequired,
+        voiceThresholdDb: PropTypes.number.isRequired,
+        silenceMs: PropTypes.number.isRequired,
+        maxUtteranceSeconds: PropTypes.number.isRequired,
+    }).isRequired,
+    onClose: PropTypes.func.isRequired,
+    onSave: PropTypes.func.isRequired,
+};
+
+export default SettingsDialog;
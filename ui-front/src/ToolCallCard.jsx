@@ -0,0 +1,57 @@
+import { Box, Chip, CircularProgress, Paper, Typography } from '@mui/material';
+import BuildIcon from '@mui/icons-material/Build';
+import PropTypes from 'prop-types';
+
+const STATUS_LABELS = {
+    running: 'executando…',
+    done: 'concluída',
+    error: 'falhou',
+    cancelled: 'cancelada',
+};
+
+const STATUS_COLORS = {
+    running: 'default',
+    done: 'success',
+    error: 'error',
+    cancelled: 'warning',
+};
+
+const formatJson = (value) => JSON.stringify(value, null, 2);
+
+const ToolCallCard = ({ toolCall }) => (
+    <Paper variant="outlined" sx={{ p: 1.5, mt: 0.5, bgcolor: 'background.default' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            {toolCall.status === 'running' ? <CircularProgress size={16} /> : <BuildIcon fontSize="small" />}
+            <Typography component="span" variant="body2" sx={{ fontWeight: 'bold' }}>
+                {toolCall.status === 'running' ? `Chamando a ferramenta ${toolCall.name}…` : `Ferramenta ${toolCall.name}`}
+            </Typography>
+            <Chip size="small" label={STATUS_LABELS[toolCall.status]} color={STATUS_COLORS[toolCall.status]} />
+        </Box>
+        <Typography component="span" variant="caption" sx={{ display: 'block' }}>Argumentos:</Typography>
+        <Box component="pre" sx={{ m: 0, fontSize: '0.75rem', whiteSpace: 'pre-wrap' }}>{formatJson(toolCall.args)}</Box>
+        {toolCall.status === 'done' && (
+            <>
+                <Typography component="span" variant="caption" sx={{ display: 'block', mt: 1 }}>Resultado:</Typography>
+                <Box component="pre" sx={{ m: 0, fontSize: '0.75rem', whiteSpace: 'pre-wrap' }}>{formatJson(toolCall.result)}</Box>
+            </>
+        )}
+        {toolCall.status === 'error' && (
+            <Typography component="span" variant="caption" color="error" sx={{ display: 'block', mt: 1 }}>
+                {toolCall.error}
+            </Typography>
+        )}
+    </Paper>
+);
+
+ToolCallCard.propTypes = {
+    toolCall: PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string.isRequired,
+        args: PropTypes.object,
+        status: PropTypes.oneOf(['running', 'done', 'error', 'cancelled']).isRequired,
+        result: PropTypes.any,
+        error: PropTypes.string,
+    }).isRequired,
+};
+
+export default ToolCallCard;
@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+import { Box, CircularProgress, Typography } from '@mui/material';
+import PropTypes from 'prop-types';
+
+const TICK_MS = 100;
+
+const PHASE_LABELS = {
+    started: 'Mensagem recebida pelo backend',
+    transcoding: 'Convertendo o áudio',
+    sentToModel: 'Enviado ao Gemini, aguardando',
+    modelThinking: 'Gemini pensando',
+    modelResponding: 'Gemini respondendo',
+};
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1).replace('.', ',')} s`;
+
+// Typing indicator for the turn in progress. The elapsed time counts from when the
+// backend opened the turn and keeps running between status events.
+const TurnProgress = ({ progress }) => {
+    const [now, setNow] = useState(() => performance.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(performance.now()), TICK_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    const elapsedMs = progress.elapsedMs + Math.max(0, now - progress.receivedAt);
+
+    return (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, px: 2, py: 1, color: 'text.secondary' }} role="status" aria-live="polite">
+            <CircularProgress size={16} color="secondary" />
+            <Typography variant="body2">
+                {PHASE_LABELS[progress.phase] || progress.phase}…
+            </Typography>
+            <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>
+                {formatSeconds(elapsedMs)}
+            </Typography>
+        </Box>
+    );
+};
+
+TurnProgress.propTypes = {
+    progress: PropTypes.shape({
+        phase: PropTypes.string.isRequired,
+        elapsedMs: PropTypes.number.isRequired,
+        receivedAt: PropTypes.number.isRequired,
+    }).isRequired,
+};
+
+export default TurnProgress;
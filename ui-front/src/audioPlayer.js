@@ -0,0 +1,203 @@
+const DEFAULT_SAMPLE_RATE = 24000;
+
+export const parsePcmSampleRate = (mimeType) => {
+    const match = /rate=(\d+)/.exec(mimeType || '');
+    return match ? parseInt(match[1], 10) : DEFAULT_SAMPLE_RATE;
+};
+
+export const pcmToFloat32 = (pcm) => {
+    const samples = new Int16Array(pcm, 0, Math.floor(pcm.byteLength / 2));
+    const floats = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        floats[i] = samples[i] / 32768;
+    }
+    return floats;
+};
+
+// Plays 16-bit PCM chunks back to back as they arrive. Each chunk is scheduled
+// to start exactly where the previous one ends so there are no gaps or clicks.
+export class PcmStreamPlayer {
+    constructor() {
+        this.audioContext = null;
+        this.nextStartTime = 0;
+        this.activeSources = new Set();
+        this.onIdle = null;
+    }
+
+    ensureContext() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        return this.audioContext;
+    }
+
+    enqueue(pcm, mimeType) {
+        const context = this.ensureContext();
+        const floats = pcmToFloat32(pcm);
+        if (floats.length === 0) {
+            return;
+        }
+
+        const buffer = context.createBuffer(1, floats.length, parsePcmSampleRate(mimeType));
+        buffer.copyToChannel(floats, 0);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+
+        const startTime = Math.max(this.nextStartTime, context.currentTime);
+        source.start(startTime);
+        this.nextStartTime = startTime + buffer.duration;
+
+        this.activeSources.add(source);
+        source.onended = () => {
+            this.activeSources.delete(source);
+            if (this.activeSources.size === 0) this.onIdle?.();
+        };
+    }
+
+    // Stopped sources still fire `ended`; detaching it keeps a stop from calling
+    // onIdle once per source. The caller already knows playback ended.
+    stop() {
+        this.activeSources.forEach(source => {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch {
+                // Source was already stopped.
+            }
+        });
+        this.activeSources.clear();
+        this.nextStartTime = 0;
+    }
+
+    close() {
+        this.stop();
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
+
+// Plays a compressed stream (WebM/Opus or MP3) through Media Source Extensions.
+// Each turn gets its own media element, started on its first chunk.
+export class EncodedStreamPlayer {
+    constructor() {
+        this.current = null;
+        this.activeElements = new Set();
+        this.onIdle = null;
+    }
+
+    release(element) {
+        this.activeElements.delete(element);
+        if (this.activeElements.size === 0) this.onIdle?.();
+    }
+
+    startStream(mimeType) {
+        const element = new Audio();
+        const mediaSource = new MediaSource();
+        const stream = { element, mediaSource, sourceBuffer: null, pending: [], ending: false };
+        element.src = URL.createObjectURL(mediaSource);
+        mediaSource.addEventListener('sourceopen', () => {
+            URL.revokeObjectURL(element.src);
+            stream.sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+            stream.sourceBuffer.addEventListener('updateend', () => this.flush(stream));
+            this.flush(stream);
+        }, { once: true });
+        element.onended = () => this.release(element);
+        this.activeElements.add(element);
+        element.play().catch(() => {
+            // Autoplay was blocked; the full clip still shows up in the chat.
+            this.release(element);
+        });
+        return stream;
+    }
+
+    flush(stream) {
+        const { mediaSource, sourceBuffer } = stream;
+        if (!sourceBuffer || sourceBuffer.updating || mediaSource.readyState !== 'open') {
+            return;
+        }
+        if (stream.pending.length > 0) {
+            sourceBuffer.appendBuffer(stream.pending.shift());
+        } else if (stream.ending) {
+            mediaSource.endOfStream();
+        }
+    }
+
+    enqueue(chunk, mimeType) {
+        if (!this.current) {
+            this.current = this.startStream(mimeType);
+        }
+        this.current.pending.push(chunk);
+        this.flush(this.current);
+    }
+
+    endTurn() {
+        if (!this.current) {
+            return;
+        }
+        this.current.ending = true;
+        this.flush(this.current);
+        this.current = null;
+    }
+
+    stop() {
+        this.activeElements.forEach(element => element.pause());
+        this.activeElements.clear();
+        this.current = null;
+    }
+}
+
+export const canPlayEncodedStream = (mimeType) => typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported(mimeType);
+
+// Routes each chunk by its MIME type: raw PCM to the Web Audio player, anything
+// else to Media Source Extensions. `onIdle` fires whenever nothing is left playing.
+export class AudioStreamPlayer {
+    constructor() {
+        this.pcmPlayer = new PcmStreamPlayer();
+        this.encodedPlayer = new EncodedStreamPlayer();
+        this.onIdle = null;
+        const notifyIfIdle = () => {
+            if (!this.isPlaying()) this.onIdle?.();
+        };
+        this.pcmPlayer.onIdle = notifyIfIdle;
+        this.encodedPlayer.onIdle = notifyIfIdle;
+    }
+
+    isPlaying() {
+        return this.pcmPlayer.activeSources.size > 0 || this.encodedPlayer.activeElements.size > 0;
+    }
+
+    // Creating the audio context from a click keeps the browser from blocking replies
+    // that start playing later on their own.
+    unlock() {
+        this.pcmPlayer.ensureContext();
+    }
+
+    enqueue(audio, mimeType) {
+        if (!mimeType || mimeType.startsWith('audio/pcm')) {
+            this.pcmPlayer.enqueue(audio, mimeType);
+        } else {
+            this.encodedPlayer.enqueue(audio, mimeType);
+        }
+    }
+
+    endTurn() {
+        this.encodedPlayer.endTurn();
+    }
+
+    stop() {
+        this.pcmPlayer.stop();
+        this.encodedPlayer.stop();
+    }
+
+    close() {
+        this.encodedPlayer.stop();
+        this.pcmPlayer.close();
+    }
+}
@@ -0,0 +1,67 @@
+export const WS_URL = import.meta.env.VITE_WS_URL || 'wss://websocket-node-gemini-service-773267354023.us-central1.run.app';
+export const HTTP_URL = WS_URL.replace(/^ws/, 'http');
+
+// The previous token is sent back when renewing so the backend keeps the same
+// subject, which owns the saved conversations.
+const TOKEN_STORAGE_KEY = 'geminiAuthToken';
+
+// Returns null when the backend runs without authentication.
+export const fetchAuthToken = async () => {
+    const previousToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+    const response = await fetch(`${HTTP_URL}/auth/token`, {
+        method: 'POST',
+        headers: previousToken ? { Authorization: `Bearer ${previousToken}` } : {},
+    });
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+    const { token } = await response.json();
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    return token;
+};
+
+// Browsers cannot set headers on a WebSocket, so the token travels as a subprotocol
+// instead of in the URL, where it would end up in access logs. The backend selects
+// `gemini-live` and never echoes the token back.
+export const buildWebSocketProtocols = (token) => (token ? ['gemini-live', `bearer.${token}`] : ['gemini-live']);
+
+const authorizedFetch = async (path, options = {}, retry = true) => {
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    const response = await fetch(`${HTTP_URL}${path}`, {
+        ...options,
+        headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    });
+    if (response.status === 401 && retry) {
+        await fetchAuthToken();
+        return authorizedFetch(path, options, false);
+    }
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+    return response;
+};
+
+export const listConversations = async () => {
+    const response = await authorizedFetch('/conversations');
+    const { conversations } = await response.json();
+    return conversations;
+};
+
+export const getConversation = async (conversationId) => {
+    const response = await authorizedFetch(`/conversations/${conversationId}`);
+    return response.json();
+};
+
+export const deleteConversation = async (conversationId) => {
+    await authorizedFetch(`/conversations/${conversationId}`, { method: 'DELETE' });
+};
+
+export const fetchConversationAudio = async (conversationId, audioId) => {
+    const response = await authorizedFetch(`/conversations/${conversationId}/audio/${audioId}`);
+    return response.blob();
+};
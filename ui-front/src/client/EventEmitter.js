@@ -0,0 +1,23 @@
+// Minimal emitter for the framework-agnostic client classes. Listeners get
+// (payload, envelope) and `on` returns the matching unsubscribe.
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.listeners.get(event)?.delete(listener);
+    }
+
+    emit(event, payload, envelope) {
+        this.listeners.get(event)?.forEach(listener => listener(payload, envelope));
+    }
+}
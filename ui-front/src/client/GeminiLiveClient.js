@@ -0,0 +1,475 @@
+import { ErrorCodes, createMessageId, encodeMessage, decodeBinaryMessage } from '../protocol';
+import { AudioStreamPlayer } from '../audioPlayer';
+import { buildSetupMessage } from '../sessionSettings';
+import { WS_URL, buildWebSocketProtocols, fetchAuthToken } from '../backendApi';
+import { EventEmitter } from './EventEmitter';
+
+const LIVE_CHUNK_INTERVAL_MS = 250;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+// In order of preference. Safari only records MP4 and Firefox prefers Ogg; the backend
+// detects the container either way.
+const RECORDER_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+// The recording can't continue once the backend dropped the audio stream.
+const RECORDING_STOP_ERRORS = [ErrorCodes.AUDIO_TOO_LONG, ErrorCodes.AUDIO_DECODE_FAILED, ErrorCodes.AUDIO_FORMAT_UNSUPPORTED];
+
+export const ConnectionStatus = {
+    DISCONNECTED: 'disconnected',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+};
+
+export const pickRecorderMimeType = () => RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+// Framework-agnostic client for the backend WebSocket (see PROTOCOL.md). It owns the
+// socket, reconnection with the resume token, the microphone and audio playback, and
+// reports everything else through events. Listeners get (payload, envelope):
+//
+//   status               'disconnected' | 'connecting' | 'connected' | 'reconnecting'
+//   ready                data of the backend `ready` event
+//   conversation         id of the conversation bound to the session, or null
+//   responding           true while the model is answering
+//   speaking             true from the first audio chunk until its playback ends
+//   text                 text delta of the answer
+//   audioChunk / audio   { audio, mimeType }: a piece of the answer, or the whole clip
+//   inputTranscription / outputTranscription   { text, finished }
+//   turnComplete, interrupted ({ wasResponding }), close
+//   toolCall / toolResult / toolCancelled, documentAttached, turnStarted
+//   turnStatus           { phase, at, elapsedMs }: the backend `status` event, renamed
+//                        so it doesn't clash with the connection status
+//   recordingStart ({ live }), recordingStop ({ blob, mimeType, live, discarded })
+//   error                { code, message } sent by the backend
+//   clientError          { context: 'auth' | 'message' | 'microphone', error }
+export class GeminiLiveClient extends EventEmitter {
+    constructor({ settings, fetchToken = fetchAuthToken, url = WS_URL, playAudio = true } = {}) {
+        super();
+        this.settings = settings;
+        this.fetchToken = fetchToken;
+        this.url = url;
+        this.playAudio = playAudio;
+        this.status = ConnectionStatus.DISCONNECTED;
+        this.socket = null;
+        this.player = null;
+        this.recorder = null;
+        this.isLiveRecording = false;
+        this.discardRecording = false;
+        this.isResponding = false;
+        this.isSpeaking = false;
+        this.isConnecting = false;
+        this.shouldReconnect = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.resumeToken = null;
+        this.conversationId = null;
+        this.maxFrameBytes = null;
+        this.outgoingQueue = [];
+        // { code, reason } of a close that waits for the current answer to end.
+        this.pendingClose = null;
+    }
+
+    setStatus(status) {
+        if (this.status !== status) {
+            this.status = status;
+            this.emit('status', status);
+        }
+    }
+
+    setResponding(value) {
+        if (this.isResponding !== value) {
+            this.isResponding = value;
+            this.emit('responding', value);
+        }
+    }
+
+    setSpeaking(value) {
+        if (this.isSpeaking !== value) {
+            this.isSpeaking = value;
+            this.emit('speaking', value);
+        }
+    }
+
+    // Only takes effect on the next connect.
+    setConversationId(conversationId) {
+        if (this.conversationId !== conversationId) {
+            this.conversationId = conversationId;
+            this.emit('conversation', conversationId);
+        }
+    }
+
+    isOpen() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    getPlayer() {
+        if (!this.player) {
+            this.player = new AudioStreamPlayer();
+            // Chunks can drain before the next one arrives, so only the end of a finished answer counts.
+            this.player.onIdle = () => {
+                if (!this.isResponding) {
+                    this.setSpeaking(false);
+                }
+            };
+        }
+        return this.player;
+    }
+
+    async connect() {
+        if (this.isConnecting || (this.socket && this.socket.readyState !== WebSocket.CLOSED)) {
+            return;
+        }
+
+        const isReconnect = this.reconnectAttempt > 0;
+        this.shouldReconnect = true;
+        this.isConnecting = true;
+        if (!isReconnect) {
+            this.setStatus(ConnectionStatus.CONNECTING);
+        }
+        let token;
+        try {
+            token = await this.fetchToken();
+        } catch (error) {
+            if (isReconnect) {
+                this.scheduleReconnect();
+            } else {
+                this.shouldReconnect = false;
+                this.setStatus(ConnectionStatus.DISCONNECTED);
+                this.emit('clientError', { context: 'auth', error });
+            }
+            return;
+        } finally {
+            this.isConnecting = false;
+        }
+        if (!this.shouldReconnect) {
+            return;
+        }
+
+        const socket = new WebSocket(this.url, buildWebSocketProtocols(token));
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+
+        socket.onopen = () => {
+            if (this.socket !== socket) {
+                socket.close(1000, 'Superseded by a new connection');
+                return;
+            }
+            this.pendingClose = null;
+            socket.send(encodeMessage(buildSetupMessage(this.settings, this.resumeToken, this.conversationId)));
+            this.reconnectAttempt = 0;
+            this.setStatus(ConnectionStatus.CONNECTED);
+            this.flushOutgoingQueue();
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                this.handleEvent(typeof event.data === 'string' ? JSON.parse(event.data) : decodeBinaryMessage(event.data));
+            } catch (error) {
+                this.emit('clientError', { context: 'message', error });
+            }
+        };
+
+        socket.onclose = (event) => {
+            if (this.socket !== socket) {
+                return;
+            }
+            this.handleClose();
+            // 1008 means the setup was refused; the user reconnects after reading the error.
+            if (event.code === 1008) {
+                this.shouldReconnect = false;
+                this.setStatus(ConnectionStatus.DISCONNECTED);
+            } else if (this.shouldReconnect) {
+                this.scheduleReconnect();
+            } else {
+                this.setStatus(ConnectionStatus.DISCONNECTED);
+            }
+        };
+    }
+
+    scheduleReconnect() {
+        const attempt = this.reconnectAttempt;
+        this.reconnectAttempt += 1;
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** attempt, RECONNECT_MAX_DELAY_MS) + Math.random() * 500;
+
+        this.setStatus(ConnectionStatus.RECONNECTING);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.shouldReconnect) {
+                this.connect();
+            }
+        }, delay);
+    }
+
+    handleClose() {
+        this.stopRecording();
+        this.player?.stop();
+        this.setResponding(false);
+        this.setSpeaking(false);
+        this.emit('close');
+    }
+
+    disconnect(reason = 'User initiated disconnect') {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+        this.resumeToken = null;
+        this.outgoingQueue = [];
+
+        const socket = this.socket;
+        this.socket = null;
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.close(1000, reason);
+        }
+        this.setStatus(ConnectionStatus.DISCONNECTED);
+        this.handleClose();
+    }
+
+    // Opens a new session, e.g. after switching conversations.
+    restart() {
+        if (this.status !== ConnectionStatus.DISCONNECTED) {
+            this.disconnect();
+            this.connect();
+        }
+    }
+
+    // Disconnects and releases the microphone and the audio output. The client can
+    // connect again afterwards.
+    close() {
+        this.disconnect('Client closed');
+        this.player?.close();
+        this.player = null;
+    }
+
+    // Sends now, or queues until the socket is back while reconnecting. Returns the
+    // message id, which backend replies point to in `inReplyTo`, or null when offline.
+    send(message) {
+        const envelope = { id: createMessageId(), ...message };
+        if (this.isOpen()) {
+            this.socket.send(encodeMessage(envelope));
+            return envelope.id;
+        }
+        if (this.shouldReconnect) {
+            this.outgoingQueue.push(envelope);
+            return envelope.id;
+        }
+        return null;
+    }
+
+    // For content that is only useful live (video frames, live audio chunks).
+    sendIfOpen(message) {
+        if (this.isOpen()) {
+            this.socket.send(encodeMessage(message));
+        }
+    }
+
+    flushOutgoingQueue() {
+        const queuedMessages = this.outgoingQueue;
+        this.outgoingQueue = [];
+        queuedMessages.forEach(message => this.socket.send(encodeMessage(message)));
+    }
+
+    interrupt() {
+        const wasResponding = this.isResponding;
+        this.setResponding(false);
+        this.player?.stop();
+        this.setSpeaking(false);
+        this.emit('interrupted', { wasResponding });
+    }
+
+    // A planned close (goAway, server shutdown) reconnects, so it waits for the
+    // current answer to end instead of cutting it off.
+    closeWhenIdle(code, reason) {
+        if (this.isResponding) {
+            this.pendingClose = { code, reason };
+        } else {
+            this.socket?.close(code, reason);
+        }
+    }
+
+    closeIfPending() {
+        if (this.pendingClose) {
+            const { code, reason } = this.pendingClose;
+            this.pendingClose = null;
+            this.socket?.close(code, reason);
+        }
+    }
+
+    interruptIfResponding() {
+        if (this.isResponding) {
+            this.interrupt();
+        }
+    }
+
+    sendText(text) {
+        this.interruptIfResponding();
+        return this.send({ type: 'text', message: text });
+    }
+
+    sendAudio(audio, mimeType) {
+        this.interruptIfResponding();
+        return this.send({ type: 'audio', payload: audio, mimeType: mimeType || undefined });
+    }
+
+    sendImage(image, source = 'file') {
+        return this.send({ type: 'image', payload: image, mimeType: image.type, source });
+    }
+
+    sendVideoFrame(frame, source) {
+        this.sendIfOpen({ type: 'image', payload: frame, mimeType: frame.type, source });
+    }
+
+    // The backend refuses frames above its MAX_FRAME_BYTES (sent in `ready`), so large
+    // files are caught before they go out.
+    exceedsFrameLimit(file) {
+        return !!this.maxFrameBytes && file.size > this.maxFrameBytes;
+    }
+
+    sendDocument(file) {
+        return this.send({ type: 'document', payload: file, name: file.name, mimeType: file.type || undefined });
+    }
+
+    cancel() {
+        this.sendIfOpen({ type: 'cancel' });
+        this.interrupt();
+    }
+
+    // In live mode the audio is streamed while recording and Gemini detects the end of
+    // speech; otherwise the whole clip is sent when the recording stops. A stream passed
+    // in stays open after the recording; otherwise the microphone is released.
+    async startRecording({ live = false, stream: inputStream = null } = {}) {
+        if (this.recorder || !this.isOpen()) {
+            return;
+        }
+        this.interruptIfResponding();
+        try {
+            const stream = inputStream || await navigator.mediaDevices.getUserMedia({ audio: true });
+            const preferredMimeType = pickRecorderMimeType();
+            const recorder = new MediaRecorder(stream, preferredMimeType ? { mimeType: preferredMimeType } : undefined);
+            const mimeType = recorder.mimeType || preferredMimeType;
+            const chunks = [];
+            this.recorder = recorder;
+
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    chunks.push(event.data);
+                    if (live) {
+                        this.sendIfOpen({ type: 'audioStreamChunk', payload: event.data });
+                    }
+                }
+            };
+
+            recorder.onstop = () => {
+                const blob = new Blob(chunks, { type: mimeType });
+                const discarded = this.discardRecording;
+                this.recorder = null;
+                this.isLiveRecording = false;
+                this.discardRecording = false;
+                if (!inputStream) {
+                    stream.getTracks().forEach(track => track.stop());
+                }
+                this.emit('recordingStop', { blob, mimeType, live, discarded });
+                // Live chunks already went out, so a discarded live recording still ends its stream.
+                if (live) {
+                    this.sendIfOpen({ type: 'audioStreamEnd' });
+                } else if (!discarded) {
+                    this.send({ type: 'audio', payload: blob, mimeType });
+                }
+            };
+
+            if (live) {
+                this.isLiveRecording = true;
+                this.sendIfOpen({ type: 'audioStreamStart', mimeType });
+                recorder.start(LIVE_CHUNK_INTERVAL_MS);
+            } else {
+                recorder.start();
+            }
+            this.emit('recordingStart', { live });
+        } catch (error) {
+            this.emit('clientError', { context: 'microphone', error });
+        }
+    }
+
+    // A discarded recording is not sent, e.g. a cough the hands-free mode took for speech.
+    stopRecording({ discard = false } = {}) {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.discardRecording = discard;
+            this.recorder.stop();
+        }
+    }
+
+    handleEvent(event) {
+        const { from, type, data } = event;
+
+        if (type === 'interrupted') {
+            this.interrupt();
+            this.closeIfPending();
+            return;
+        }
+
+        if (from === 'backend') {
+            this.handleBackendEvent(event);
+            return;
+        }
+
+        switch (type) {
+            case 'goAway':
+                this.closeWhenIdle(4000, 'Gemini goAway');
+                return;
+            case 'audioChunk':
+                if (!data || !data.audio) {
+                    return;
+                }
+                this.setResponding(true);
+                if (this.playAudio) {
+                    this.getPlayer().enqueue(data.audio, data.mimeType);
+                    this.setSpeaking(true);
+                }
+                break;
+            case 'text':
+            case 'outputTranscription':
+                this.setResponding(true);
+                break;
+            case 'turnComplete':
+                this.player?.endTurn();
+                this.setResponding(false);
+                if (!this.player?.isPlaying()) {
+                    this.setSpeaking(false);
+                }
+                break;
+            default:
+                break;
+        }
+        this.emit(type, data, event);
+
+        if (type === 'turnComplete') {
+            this.closeIfPending();
+        }
+    }
+
+    handleBackendEvent(event) {
+        const { type, data } = event;
+
+        if (type === 'ready') {
+            this.resumeToken = data.resumeToken;
+            this.maxFrameBytes = data.maxFrameBytes || null;
+            this.setConversationId(data.conversationId);
+        } else if (type === 'serverShutdown') {
+            // The server finishes the current answer before closing.
+            this.closeWhenIdle(4001, 'Server shutting down');
+        } else if (type === 'status') {
+            this.emit('turnStatus', data, event);
+            return;
+        } else if (type === 'error') {
+            if (RECORDING_STOP_ERRORS.includes(data.code) && this.isLiveRecording) {
+                this.stopRecording();
+            }
+            if (data.code === ErrorCodes.CONVERSATION_NOT_FOUND) {
+                this.setConversationId(null);
+            }
+        }
+        this.emit(type, data, event);
+    }
+}
@@ -0,0 +1,145 @@
+import { ConnectionStatus } from './GeminiLiveClient';
+import { EventEmitter } from './EventEmitter';
+import { VoiceActivityDetector } from './VoiceActivityDetector';
+
+// Shorter bursts above the threshold (a cough, a door) are dropped instead of sent.
+const MIN_SPEECH_MS = 300;
+
+export const HandsFreeState = {
+    OFF: 'off',
+    LISTENING: 'listening',
+    RECORDING: 'recording',
+    THINKING: 'thinking',
+    SPEAKING: 'speaking',
+};
+
+// Hands-free conversation on top of a GeminiLiveClient: it keeps the microphone open,
+// records a clip when speech starts, sends it after `silenceMs` of silence (or after
+// `maxUtteranceMs`) and listens again once the answer has finished playing. Speech is
+// ignored while Gemini thinks or talks, so the speakers don't trigger a new turn.
+//
+//   state   one of HandsFreeState
+//   level   input level in dBFS, about 20 times a second
+export class HandsFreeController extends EventEmitter {
+    constructor(client) {
+        super();
+        this.client = client;
+        this.state = HandsFreeState.OFF;
+        this.stream = null;
+        this.detector = null;
+        this.maxUtteranceTimer = null;
+        this.unsubscribes = [];
+    }
+
+    setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.emit('state', state);
+        }
+    }
+
+    isActive() {
+        return this.state !== HandsFreeState.OFF;
+    }
+
+    async start({ thresholdDb, silenceMs, maxUtteranceMs }) {
+        if (this.isActive()) {
+            return;
+        }
+        // Called from a click, which lets the replies autoplay.
+        if (this.client.playAudio) {
+            this.client.getPlayer().unlock();
+        }
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+        this.maxUtteranceMs = maxUtteranceMs;
+        this.detector = new VoiceActivityDetector(this.stream, {
+            thresholdDb,
+            silenceMs,
+            onLevel: level => this.emit('level', level),
+            onSpeechStart: () => this.handleSpeechStart(),
+            onSpeechEnd: ({ durationMs }) => this.handleSpeechEnd(durationMs),
+        });
+
+        this.unsubscribes = [
+            this.client.on('recordingStart', () => {
+                if (this.state === HandsFreeState.LISTENING) {
+                    this.setState(HandsFreeState.RECORDING);
+                    this.maxUtteranceTimer = setTimeout(() => this.finishUtterance(), this.maxUtteranceMs);
+                }
+            }),
+            this.client.on('recordingStop', ({ discarded }) => {
+                clearTimeout(this.maxUtteranceTimer);
+                if (this.state === HandsFreeState.RECORDING) {
+                    this.setState(discarded ? HandsFreeState.LISTENING : HandsFreeState.THINKING);
+                }
+            }),
+            this.client.on('responding', isResponding => {
+                if (isResponding) {
+                    this.setState(HandsFreeState.SPEAKING);
+                } else {
+                    this.listenIfIdle();
+                }
+            }),
+            this.client.on('speaking', () => this.listenIfIdle()),
+            this.client.on('turnComplete', () => this.listenIfIdle()),
+            this.client.on('interrupted', () => this.listenIfIdle()),
+            // A rejected clip gets an error instead of an answer.
+            this.client.on('error', () => this.listenIfIdle()),
+            this.client.on('status', status => {
+                if (status === ConnectionStatus.DISCONNECTED) {
+                    this.stop();
+                }
+            }),
+        ];
+        this.detector.start();
+        this.setState(HandsFreeState.LISTENING);
+    }
+
+    // While reconnecting the client does not record, so the state stays LISTENING.
+    handleSpeechStart() {
+        if (this.state === HandsFreeState.LISTENING) {
+            this.client.startRecording({ stream: this.stream });
+        }
+    }
+
+    handleSpeechEnd(durationMs) {
+        if (this.state !== HandsFreeState.RECORDING) {
+            return;
+        }
+        if (durationMs < MIN_SPEECH_MS) {
+            this.client.stopRecording({ discard: true });
+        } else {
+            this.finishUtterance();
+        }
+    }
+
+    finishUtterance() {
+        if (this.state === HandsFreeState.RECORDING) {
+            this.client.stopRecording();
+        }
+    }
+
+    listenIfIdle() {
+        if ((this.state === HandsFreeState.THINKING || this.state === HandsFreeState.SPEAKING)
+            && !this.client.isResponding && !this.client.isSpeaking) {
+            this.setState(HandsFreeState.LISTENING);
+        }
+    }
+
+    stop() {
+        if (!this.isActive()) {
+            return;
+        }
+        clearTimeout(this.maxUtteranceTimer);
+        this.unsubscribes.forEach(unsubscribe => unsubscribe());
+        this.unsubscribes = [];
+        if (this.state === HandsFreeState.RECORDING) {
+            this.client.stopRecording({ discard: true });
+        }
+        this.detector.stop();
+        this.detector = null;
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.setState(HandsFreeState.OFF);
+    }
+}
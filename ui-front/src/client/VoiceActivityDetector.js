@@ -0,0 +1,72 @@
+const POLL_INTERVAL_MS = 50;
+const MIN_LEVEL_DB = -100;
+
+// RMS level of the samples in dBFS: about -60 in a quiet room, -30 to -15 for speech.
+const rmsDb = (samples) => {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / samples.length);
+    return rms > 0 ? Math.max(MIN_LEVEL_DB, 20 * Math.log10(rms)) : MIN_LEVEL_DB;
+};
+
+// Watches the level of a microphone stream with a Web Audio analyser. Speech starts
+// on the first reading above the threshold and ends after `silenceMs` below it, so a
+// recording started from onSpeechStart only misses one polling interval.
+export class VoiceActivityDetector {
+    constructor(stream, { thresholdDb, silenceMs, onLevel, onSpeechStart, onSpeechEnd }) {
+        this.stream = stream;
+        this.thresholdDb = thresholdDb;
+        this.silenceMs = silenceMs;
+        this.onLevel = onLevel;
+        this.onSpeechStart = onSpeechStart;
+        this.onSpeechEnd = onSpeechEnd;
+        this.audioContext = null;
+        this.analyser = null;
+        this.samples = null;
+        this.timer = null;
+        this.isSpeaking = false;
+        this.speechStartedAt = 0;
+        this.lastVoiceAt = 0;
+    }
+
+    start() {
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+        this.samples = new Float32Array(this.analyser.fftSize);
+        // An interval keeps running in background tabs, unlike requestAnimationFrame.
+        this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    }
+
+    poll() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+        const level = rmsDb(this.samples);
+        const now = performance.now();
+        this.onLevel?.(level);
+
+        if (level >= this.thresholdDb) {
+            this.lastVoiceAt = now;
+            if (!this.isSpeaking) {
+                this.isSpeaking = true;
+                this.speechStartedAt = now;
+                this.onSpeechStart?.();
+            }
+        } else if (this.isSpeaking && now - this.lastVoiceAt >= this.silenceMs) {
+            this.isSpeaking = false;
+            this.onSpeechEnd?.({ durationMs: this.lastVoiceAt - this.speechStartedAt });
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.isSpeaking = false;
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
@@ -0,0 +1,330 @@
+import { useEffect, useRef, useState } from 'react';
+import { ERROR_MESSAGES } from '../protocol';
+import { imageFileToJpeg } from '../imageCapture';
+import { ConnectionStatus, GeminiLiveClient } from './GeminiLiveClient';
+import { HandsFreeController, HandsFreeState } from './HandsFreeController';
+
+const CLIENT_ERROR_PREFIXES = {
+    auth: 'Erro de autenticação',
+    message: 'Erro ao processar mensagem',
+    microphone: 'Erro ao iniciar gravação',
+};
+
+export const revokeObjectUrls = (messageList) => {
+    messageList.forEach(msg => {
+        if ((msg.type === 'audio' || msg.type === 'image') && msg.content && msg.content.startsWith('blob:')) {
+            URL.revokeObjectURL(msg.content);
+        }
+    });
+};
+
+const errorMessage = (content) => ({ sender: 'bot', type: 'text', content, isError: true, turnComplete: true });
+
+// Closes the bot message still streaming, if any, before a new one starts.
+const completePendingBotMessage = (messages) => {
+    const lastBotMessageIndex = messages.findLastIndex(msg => msg.sender === 'bot');
+    if (lastBotMessageIndex !== -1 && !messages[lastBotMessageIndex].turnComplete) {
+        messages[lastBotMessageIndex] = { ...messages[lastBotMessageIndex], turnComplete: true };
+    }
+};
+
+const appendBotText = (prev, text) => {
+    const messages = [...prev];
+    const lastBotTextMessageIndex = messages.findLastIndex(msg => msg.sender === 'bot' && msg.type === 'text');
+    if (lastBotTextMessageIndex !== -1 && !messages[lastBotTextMessageIndex].turnComplete) {
+        const lastBotText = messages[lastBotTextMessageIndex];
+        messages[lastBotTextMessageIndex] = { ...lastBotText, content: lastBotText.content + text };
+    } else {
+        completePendingBotMessage(messages);
+        messages.push({ sender: 'bot', type: 'text', content: text, turnComplete: false });
+    }
+    return messages;
+};
+
+const appendOutputTranscription = (prev, text) => {
+    const messages = [...prev];
+    const pendingBotAudioIndex = messages.findLastIndex(msg => msg.sender === 'bot' && msg.type === 'audio' && !msg.turnComplete);
+    if (pendingBotAudioIndex !== -1) {
+        const pendingAudio = messages[pendingBotAudioIndex];
+        messages[pendingBotAudioIndex] = { ...pendingAudio, transcript: (pendingAudio.transcript || '') + text };
+    } else {
+        completePendingBotMessage(messages);
+        messages.push({ sender: 'bot', type: 'audio', content: null, transcript: text, turnComplete: false });
+    }
+    return messages;
+};
+
+const attachBotAudio = (prev, audioUrl) => {
+    const messages = [...prev];
+    const pendingBotAudioIndex = messages.findLastIndex(msg => msg.sender === 'bot' && msg.type === 'audio' && !msg.turnComplete);
+    if (pendingBotAudioIndex !== -1) {
+        messages[pendingBotAudioIndex] = { ...messages[pendingBotAudioIndex], content: audioUrl, turnComplete: true };
+    } else {
+        completePendingBotMessage(messages);
+        messages.push({ sender: 'bot', type: 'audio', content: audioUrl, turnComplete: true });
+    }
+    return messages;
+};
+
+const completeBotTurn = (prev) => {
+    const messages = [...prev];
+    completePendingBotMessage(messages);
+    return messages;
+};
+
+const markInterrupted = (prev, wasResponding) => {
+    const pendingBotMessageIndex = prev.findLastIndex(msg => msg.sender === 'bot' && !msg.turnComplete);
+    if (pendingBotMessageIndex !== -1) {
+        const messages = [...prev];
+        messages[pendingBotMessageIndex] = { ...messages[pendingBotMessageIndex], turnComplete: true, interrupted: true };
+        return messages;
+    }
+    if (wasResponding) {
+        return [...prev, { sender: 'bot', type: 'text', content: '', interrupted: true, turnComplete: true }];
+    }
+    return prev;
+};
+
+const appendInputTranscription = (prev, text) => {
+    const lastUserAudioIndex = prev.findLastIndex(msg => msg.sender === 'user' && msg.type === 'audio');
+    if (lastUserAudioIndex === -1) {
+        return prev;
+    }
+    const messages = [...prev];
+    const userAudioMessage = messages[lastUserAudioIndex];
+    messages[lastUserAudioIndex] = { ...userAudioMessage, transcript: (userAudioMessage.transcript || '') + text };
+    return messages;
+};
+
+const updateToolCall = (prev, type, data) => {
+    const messages = [...prev];
+    if (type === 'toolCall') {
+        completePendingBotMessage(messages);
+        messages.push({ sender: 'bot', type: 'tool', toolCall: { ...data, status: 'running' }, turnComplete: true });
+        return messages;
+    }
+
+    const toolMessageIndex = messages.findLastIndex(msg => msg.type === 'tool' && msg.toolCall.id === data.id);
+    if (toolMessageIndex === -1) {
+        return prev;
+    }
+    const toolCall = { ...messages[toolMessageIndex].toolCall };
+    if (type === 'toolCancelled') {
+        toolCall.status = 'cancelled';
+    } else if (data.error) {
+        toolCall.status = 'error';
+        toolCall.error = data.error;
+    } else {
+        toolCall.status = 'done';
+        toolCall.result = data.output;
+    }
+    messages[toolMessageIndex] = { ...messages[toolMessageIndex], toolCall };
+    return messages;
+};
+
+// Keeps the chat transcript of a GeminiLiveClient session as a list of messages
+// ({ sender: 'user' | 'bot', type, content, turnComplete, ... }) ready to render.
+export const useGeminiLive = (settings) => {
+    const [client] = useState(() => new GeminiLiveClient({ settings }));
+    const [handsFree] = useState(() => new HandsFreeController(client));
+    const [messages, setMessages] = useState([]);
+    const [status, setStatus] = useState(client.status);
+    const [isResponding, setIsResponding] = useState(false);
+    const [isRecording, setIsRecording] = useState(false);
+    const [connectionId, setConnectionId] = useState(null);
+    const [conversationId, setConversationIdState] = useState(null);
+    const [handsFreeState, setHandsFreeState] = useState(handsFree.state);
+    const [turnProgress, setTurnProgress] = useState(null);
+    const messagesRef = useRef([]);
+    const isLiveRecordingRef = useRef(false);
+    const pendingInputTranscriptRef = useRef('');
+
+    useEffect(() => {
+        client.settings = settings;
+    }, [client, settings]);
+
+    const addError = (content) => setMessages(prev => [...prev, errorMessage(content)]);
+
+    useEffect(() => {
+        const unsubscribes = [
+            client.on('status', setStatus),
+            client.on('responding', setIsResponding),
+            client.on('conversation', setConversationIdState),
+            client.on('ready', data => setConnectionId(data.connectionId)),
+            client.on('text', text => setMessages(prev => appendBotText(prev, text))),
+            client.on('outputTranscription', data => setMessages(prev => appendOutputTranscription(prev, data.text))),
+            client.on('audio', data => {
+                if (data && data.audio && data.mimeType) {
+                    const audioUrl = URL.createObjectURL(new Blob([data.audio], { type: data.mimeType }));
+                    setMessages(prev => attachBotAudio(prev, audioUrl));
+                }
+            }),
+            client.on('turnComplete', () => setMessages(completeBotTurn)),
+            client.on('interrupted', ({ wasResponding }) => {
+                setTurnProgress(null);
+                setMessages(prev => markInterrupted(prev, wasResponding));
+            }),
+            // Elapsed times come from the backend clock; receivedAt lets the view keep counting locally.
+            client.on('turnStarted', () => setTurnProgress({ phase: 'started', elapsedMs: 0, receivedAt: performance.now() })),
+            client.on('turnStatus', ({ phase, elapsedMs }) => {
+                setTurnProgress(phase === 'turnComplete' ? null : { phase, elapsedMs, receivedAt: performance.now() });
+            }),
+            // While recording live the transcript arrives before the user's audio bubble exists.
+            client.on('inputTranscription', data => {
+                if (isLiveRecordingRef.current) {
+                    pendingInputTranscriptRef.current += data.text;
+                } else {
+                    setMessages(prev => appendInputTranscription(prev, data.text));
+                }
+            }),
+            ...['toolCall', 'toolResult', 'toolCancelled'].map(type => client.on(type, data => setMessages(prev => updateToolCall(prev, type, data)))),
+            // Documents are matched to their reply by the id of the message that sent them.
+            client.on('documentAttached', (data, event) => {
+                setMessages(prev => prev.map(msg => (msg.type === 'document' && msg.requestId === event.inReplyTo
+                    ? { ...msg, status: 'attached', kind: data.kind, pages: data.pages, content: data.text }
+                    : msg)));
+            }),
+            // A document still being read when the socket closes gets no reply.
+            client.on('close', () => {
+                setTurnProgress(null);
+                setMessages(prev => prev.filter(msg => !(msg.type === 'document' && msg.status === 'processing')));
+            }),
+            client.on('recordingStart', ({ live }) => {
+                isLiveRecordingRef.current = live;
+                pendingInputTranscriptRef.current = '';
+                setIsRecording(true);
+            }),
+            client.on('recordingStop', ({ blob, discarded }) => {
+                const transcript = pendingInputTranscriptRef.current;
+                isLiveRecordingRef.current = false;
+                pendingInputTranscriptRef.current = '';
+                setIsRecording(false);
+                if (discarded) {
+                    return;
+                }
+                setMessages(prev => [...prev, { sender: 'user', type: 'audio', content: URL.createObjectURL(blob), transcript, turnComplete: true }]);
+            }),
+            client.on('error', ({ code, message }, event) => {
+                setTurnProgress(null);
+                // Without inReplyTo the failed request is unknown, so no pending document
+                // is left waiting for a reply that won't come.
+                setMessages(prev => prev.filter(msg => !(msg.type === 'document'
+                    && (event.inReplyTo ? msg.requestId === event.inReplyTo : msg.status === 'processing'))));
+                addError(ERROR_MESSAGES[code] || `Erro do Backend (${code}): ${message}`);
+            }),
+            client.on('clientError', ({ context, error }) => addError(`${CLIENT_ERROR_PREFIXES[context]}: ${error.message}`)),
+            handsFree.on('state', setHandsFreeState),
+        ];
+        return () => {
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+            handsFree.stop();
+            client.close();
+        };
+    }, [client, handsFree]);
+
+    // Audio bubbles are updated in place as transcripts stream in, so object URLs
+    // must outlive individual renders and are only revoked on unmount.
+    useEffect(() => {
+        messagesRef.current = messages;
+    }, [messages]);
+
+    useEffect(() => {
+        return () => revokeObjectUrls(messagesRef.current);
+    }, []);
+
+    const replaceMessages = (nextMessages) => {
+        revokeObjectUrls(messagesRef.current);
+        setMessages(nextMessages);
+    };
+
+    const sendText = (text) => {
+        if (!client.sendText(text)) {
+            return false;
+        }
+        setMessages(prev => [...prev, { sender: 'user', type: 'text', content: text, turnComplete: true }]);
+        return true;
+    };
+
+    const sendAudioFile = (file) => {
+        if (!client.sendAudio(file, file.type)) {
+            return false;
+        }
+        setMessages(prev => [...prev, { sender: 'user', type: 'audio', content: URL.createObjectURL(file), transcript: '', turnComplete: true }]);
+        return true;
+    };
+
+    // Pasted screenshots can be several megabytes of PNG; they are sent as a scaled JPEG.
+    const sendImageFile = async (file) => {
+        try {
+            const image = await imageFileToJpeg(file);
+            if (!client.sendImage(image, 'file')) {
+                return false;
+            }
+            setMessages(prev => [...prev, { sender: 'user', type: 'image', content: URL.createObjectURL(image), turnComplete: true }]);
+            return true;
+        } catch (error) {
+            addError(`Erro ao enviar a imagem: ${error.message}`);
+            return false;
+        }
+    };
+
+    const sendDocument = (file) => {
+        if (client.exceedsFrameLimit(file)) {
+            addError(`O arquivo ${file.name} é grande demais para enviar (máximo de ${(client.maxFrameBytes / (1024 * 1024)).toLocaleString('pt-BR', { maximumFractionDigits: 1 })} MB).`);
+            return false;
+        }
+        const requestId = client.sendDocument(file);
+        if (!requestId) {
+            return false;
+        }
+        setMessages(prev => [...prev, { sender: 'user', type: 'document', requestId, name: file.name, status: 'processing', turnComplete: true }]);
+        return true;
+    };
+
+    const setConversationId = (id) => client.setConversationId(id);
+
+    const startHandsFree = async () => {
+        try {
+            await handsFree.start({
+                thresholdDb: settings.voiceThresholdDb,
+                silenceMs: settings.silenceMs,
+                maxUtteranceMs: settings.maxUtteranceSeconds * 1000,
+            });
+        } catch (error) {
+            addError(`${CLIENT_ERROR_PREFIXES.microphone}: ${error.message}`);
+        }
+    };
+
+    return {
+        client,
+        messages,
+        status,
+        isConnected: status === ConnectionStatus.CONNECTED,
+        isReconnecting: status === ConnectionStatus.RECONNECTING,
+        isResponding,
+        isRecording,
+        isAttachingDocument: messages.some(msg => msg.type === 'document' && msg.status === 'processing'),
+        turnProgress,
+        handsFree,
+        handsFreeState,
+        isHandsFree: handsFreeState !== HandsFreeState.OFF,
+        connectionId,
+        conversationId,
+        connect: () => client.connect(),
+        disconnect: () => client.disconnect(),
+        restart: () => client.restart(),
+        setConversationId,
+        replaceMessages,
+        addError,
+        sendText,
+        sendAudioFile,
+        sendImageFile,
+        sendDocument,
+        sendVideoFrame: (frame, source) => client.sendVideoFrame(frame, source),
+        startRecording: (options) => client.startRecording(options),
+        stopRecording: () => client.stopRecording(),
+        startHandsFree,
+        stopHandsFree: () => handsFree.stop(),
+        cancelResponse: () => client.cancel(),
+    };
+};
@@ -0,0 +1,69 @@
+// Gemini downsizes larger images anyway, so frames are scaled before they are sent.
+const MAX_IMAGE_DIMENSION = 1024;
+const JPEG_QUALITY = 0.7;
+
+const drawScaled = (source, width, height) => {
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+const canvasToJpeg = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Falha ao converter a imagem.'))), 'image/jpeg', JPEG_QUALITY);
+});
+
+// Pasted screenshots can be several megabytes of PNG; they are re-encoded as a scaled JPEG.
+export const imageFileToJpeg = async (file) => {
+    const bitmap = await createImageBitmap(file);
+    try {
+        return await canvasToJpeg(drawScaled(bitmap, bitmap.width, bitmap.height));
+    } finally {
+        bitmap.close();
+    }
+};
+
+// Grabs a JPEG from a camera or screen stream every 1/framesPerSecond seconds. A frame is
+// skipped while the previous one is still being encoded. A frame that fails is reported
+// through onError.
+export class FrameCapturer {
+    constructor(stream, framesPerSecond, onFrame, onError) {
+        this.stream = stream;
+        this.framesPerSecond = framesPerSecond;
+        this.onFrame = onFrame;
+        this.onError = onError;
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.timer = null;
+        this.isCapturing = false;
+    }
+
+    async start() {
+        this.video.srcObject = this.stream;
+        await this.video.play();
+        this.timer = setInterval(() => this.capture().catch(error => this.onError?.(error)), 1000 / this.framesPerSecond);
+    }
+
+    async capture() {
+        const { videoWidth, videoHeight } = this.video;
+        if (this.isCapturing || !videoWidth || !videoHeight) {
+            return;
+        }
+        this.isCapturing = true;
+        try {
+            this.onFrame(await canvasToJpeg(drawScaled(this.video, videoWidth, videoHeight)));
+        } finally {
+            this.isCapturing = false;
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.video.srcObject = null;
+        this.stream.getTracks().forEach(track => track.stop());
+    }
+}
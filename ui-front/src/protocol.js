@@ -0,0 +1,67 @@
+// Version 2 sends audio in binary frames. See PROTOCOL.md.
+export const PROTOCOL_VERSION = 2;
+
+const BINARY_HEADER_LENGTH_BYTES = 4;
+
+export const ErrorCodes = {
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+    PROTOCOL_VERSION_UNSUPPORTED: 'PROTOCOL_VERSION_UNSUPPORTED',
+    INVALID_SETUP: 'INVALID_SETUP',
+    CONVERSATION_NOT_FOUND: 'CONVERSATION_NOT_FOUND',
+    FRAME_TOO_LARGE: 'FRAME_TOO_LARGE',
+    AUDIO_TOO_LONG: 'AUDIO_TOO_LONG',
+    RATE_LIMITED: 'RATE_LIMITED',
+    AUDIO_FORMAT_UNSUPPORTED: 'AUDIO_FORMAT_UNSUPPORTED',
+    AUDIO_DECODE_FAILED: 'AUDIO_DECODE_FAILED',
+    AUDIO_OUTPUT_FAILED: 'AUDIO_OUTPUT_FAILED',
+    DOCUMENT_UNSUPPORTED: 'DOCUMENT_UNSUPPORTED',
+    DOCUMENT_TOO_LARGE: 'DOCUMENT_TOO_LARGE',
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+export const ERROR_MESSAGES = {
+    [ErrorCodes.PROTOCOL_VERSION_UNSUPPORTED]: 'Esta versão da página não é compatível com o servidor. Recarregue a página.',
+    [ErrorCodes.CONVERSATION_NOT_FOUND]: 'A conversa não foi encontrada. Clique em Conectar para começar uma nova conversa.',
+    [ErrorCodes.FRAME_TOO_LARGE]: 'Mensagem grande demais. Tente enviar um conteúdo menor.',
+    [ErrorCodes.AUDIO_TOO_LONG]: 'O áudio passou do limite de duração e foi cortado.',
+    [ErrorCodes.RATE_LIMITED]: 'Muitas mensagens em pouco tempo. Aguarde um pouco antes de continuar.',
+    [ErrorCodes.AUDIO_FORMAT_UNSUPPORTED]: 'Formato de áudio não suportado. Use WebM, Ogg, WAV, MP3 ou M4A.',
+    [ErrorCodes.AUDIO_DECODE_FAILED]: 'Não foi possível processar o áudio enviado. Tente gravar novamente.',
+    [ErrorCodes.AUDIO_OUTPUT_FAILED]: 'Não foi possível montar o áudio da resposta.',
+    [ErrorCodes.DOCUMENT_UNSUPPORTED]: 'Não foi possível ler o documento. Envie um PDF com texto ou um arquivo de texto em UTF-8.',
+    [ErrorCodes.DOCUMENT_TOO_LARGE]: 'O documento tem texto demais para ser anexado à conversa.',
+    [ErrorCodes.UPSTREAM_UNAVAILABLE]: 'O Gemini está indisponível no momento. Tentando reconectar...',
+    [ErrorCodes.UPSTREAM_ERROR]: 'Falha ao falar com o Gemini. Tente novamente.',
+};
+
+let messageCounter = 0;
+
+export const createMessageId = () => {
+    messageCounter += 1;
+    return `${Date.now().toString(36)}-${messageCounter}`;
+};
+
+// Every frame sent to the backend carries an id so replies can point back to it.
+// Messages with a `payload` Blob (audio, an image or a document) go out as a binary frame:
+// uint32 header length, JSON header, then the payload bytes.
+export const encodeMessage = (message) => {
+    const { payload, ...fields } = message;
+    const envelope = { id: createMessageId(), ...fields };
+    if (!payload) {
+        return JSON.stringify(envelope);
+    }
+    const header = new TextEncoder().encode(JSON.stringify(envelope));
+    const headerLength = new DataView(new ArrayBuffer(BINARY_HEADER_LENGTH_BYTES));
+    headerLength.setUint32(0, header.length);
+    return new Blob([headerLength, header, payload]);
+};
+
+// Returns the event with the binary payload in data.audio as an ArrayBuffer.
+export const decodeBinaryMessage = (buffer) => {
+    const headerLength = new DataView(buffer).getUint32(0);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, BINARY_HEADER_LENGTH_BYTES, headerLength)));
+    return { ...header, data: { ...header.data, audio: buffer.slice(BINARY_HEADER_LENGTH_BYTES + headerLength) } };
+};
@@ -0,0 +1,65 @@
+import { PROTOCOL_VERSION } from './protocol';
+import { canPlayEncodedStream } from './audioPlayer';
+
+export const MODEL_OPTIONS = ['gemini-2.0-flash-live-001'];
+
+export const MODALITY_OPTIONS = [
+    { value: 'AUDIO', label: 'Áudio' },
+    { value: 'TEXT', label: 'Texto' },
+];
+
+export const VOICE_OPTIONS = ['Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede', 'Leda', 'Orus', 'Zephyr'];
+
+export const LANGUAGE_OPTIONS = [
+    { value: 'pt-BR', label: 'Português (Brasil)' },
+    { value: 'en-US', label: 'English (US)' },
+    { value: 'es-US', label: 'Español (US)' },
+    { value: 'fr-FR', label: 'Français' },
+    { value: 'de-DE', label: 'Deutsch' },
+    { value: 'it-IT', label: 'Italiano' },
+    { value: 'ja-JP', label: '日本語' },
+];
+
+// Compressed formats are streamed through Media Source Extensions, so only the
+// ones this browser can play are offered. WAV streams raw PCM, always works and is
+// the default; Opus and MP3 are opt-in.
+export const OUTPUT_AUDIO_FORMAT_OPTIONS = [
+    { value: 'wav', label: 'WAV (sem compressão)', mimeType: null },
+    { value: 'opus', label: 'Opus (WebM)', mimeType: 'audio/webm;codecs=opus' },
+    { value: 'mp3', label: 'MP3', mimeType: 'audio/mpeg' },
+].filter(option => !option.mimeType || canPlayEncodedStream(option.mimeType));
+
+// Gemini samples video at about one frame per second, so higher rates add little.
+export const VIDEO_FRAME_RATE_OPTIONS = [0.5, 1, 2];
+
+// Hands-free mode. The threshold is the input level, in dBFS, that counts as speech;
+// the level meter shows it next to the live level.
+export const VOICE_THRESHOLD_DB_RANGE = { min: -70, max: -20 };
+
+export const DEFAULT_SESSION_SETTINGS = {
+    model: MODEL_OPTIONS[0],
+    systemInstruction: 'You are a Google Cloud Platform specialist.',
+    responseModality: 'AUDIO',
+    voiceName: 'Puck',
+    languageCode: 'pt-BR',
+    temperature: 1,
+    outputAudioFormat: 'wav',
+    videoFrameRate: 1,
+    voiceThresholdDb: -45,
+    silenceMs: 1200,
+    maxUtteranceSeconds: 30,
+};
+
+export const buildSetupMessage = (settings, resumeToken, conversationId) => ({
+    type: 'setup',
+    protocolVersion: PROTOCOL_VERSION,
+    ...(resumeToken ? { resumeToken } : {}),
+    ...(conversationId ? { conversationId } : {}),
+    model: settings.model,
+    systemInstruction: settings.systemInstruction,
+    responseModalities: [settings.responseModality],
+    voiceName: settings.voiceName,
+    languageCode: settings.languageCode,
+    temperature: settings.temperature,
+    outputAudioFormat: settings.outputAudioFormat,
+});